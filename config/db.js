@@ -1,5 +1,6 @@
 const mongoose = require('mongoose');
 require('dotenv').config();
+const { runMigrations } = require('../utils/migrations');
 
 const connectDB = async () => {
   try {
@@ -18,6 +19,12 @@ const connectDB = async () => {
     console.error(`Error: ${error.message}`);
     process.exit(1);
   }
+
+  try {
+    await runMigrations();
+  } catch (error) {
+    console.error(`Migration error: ${error.message}`);
+  }
 };
 
 module.exports = connectDB; 
\ No newline at end of file
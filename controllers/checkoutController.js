@@ -0,0 +1,48 @@
+const { asyncHandler } = require('../middleware/errorMiddleware');
+const { createCheckoutQuote, loadCheckoutQuote } = require('../utils/checkout');
+
+const toQuoteResponse = (session) => ({
+  sessionId: session._id,
+  signature: session.signature,
+  expiresAt: session.expiresAt,
+  currency: session.currency,
+  lines: session.lines,
+  sellers: session.sellers,
+  coupon: session.coupon ? { id: session.coupon, code: session.couponCode } : null,
+  promotions: session.promotions,
+  itemsPrice: session.itemsPrice,
+  discount: session.discount,
+  promotionDiscount: session.promotionDiscount,
+  couponDiscount: session.couponDiscount,
+  shippingDiscount: session.shippingDiscount,
+  shippingPrice: session.shippingPrice,
+  taxPrice: session.taxPrice,
+  total: session.total
+});
+
+// Create a checkout session: prices the cart (or given items) server-side and returns a signed quote
+exports.createCheckoutSession = asyncHandler(async (req, res) => {
+  const { items, couponCode } = req.body;
+  if (items !== undefined && !Array.isArray(items)) {
+    return res.status(400).json({ message: 'items must be an array', route: req.originalUrl || req.url });
+  }
+
+  try {
+    const session = await createCheckoutQuote(req.user._id, { items, couponCode });
+    res.status(201).json(toQuoteResponse(session));
+  } catch (error) {
+    if (error.type !== 'CheckoutError' && error.type !== 'CouponError') throw error;
+    return res.status(error.statusCode).json({ message: error.message, route: req.originalUrl || req.url });
+  }
+});
+
+// Get a still-valid checkout session
+exports.getCheckoutSession = asyncHandler(async (req, res) => {
+  try {
+    const session = await loadCheckoutQuote(req.params.id, req.user._id);
+    res.json(toQuoteResponse(session));
+  } catch (error) {
+    if (error.type !== 'CheckoutError') throw error;
+    return res.status(error.statusCode).json({ message: error.message, route: req.originalUrl || req.url });
+  }
+});
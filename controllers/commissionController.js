@@ -0,0 +1,90 @@
+const mongoose = require('mongoose');
+const CommissionRule = require('../models/CommissionRule');
+const Seller = require('../models/Seller');
+const { asyncHandler } = require('../middleware/errorMiddleware');
+const { loadRulesInEffect, resolveCommissionRule, getCategoryChain } = require('../utils/commission');
+
+const RULE_FIELDS = ['name', 'scope', 'category', 'seller', 'plan', 'percentage', 'fixedFee', 'effectiveFrom', 'effectiveTo', 'isActive', 'notes'];
+
+const pickRuleFields = (body) => Object.fromEntries(
+  RULE_FIELDS.filter(field => body[field] !== undefined).map(field => [field, body[field]])
+);
+
+// List commission rules
+exports.getCommissionRules = asyncHandler(async (req, res) => {
+  const filter = {};
+  if (req.query.scope) filter.scope = req.query.scope;
+  if (req.query.active !== undefined) filter.isActive = req.query.active === 'true';
+  if (req.query.seller) filter.seller = req.query.seller;
+  if (req.query.category) filter.category = req.query.category;
+
+  const rules = await CommissionRule.find(filter)
+    .populate('category', 'name slug')
+    .populate('seller', 'businessName')
+    .sort({ scope: 1, effectiveFrom: -1 });
+  res.json({ rules });
+});
+
+// Create a commission rule
+exports.createCommissionRule = asyncHandler(async (req, res) => {
+  const rule = await CommissionRule.create({ ...pickRuleFields(req.body), createdBy: req.user._id });
+  res.status(201).json(rule);
+});
+
+// Update a commission rule. Orders already placed keep the rule they were snapshotted with.
+exports.updateCommissionRule = asyncHandler(async (req, res) => {
+  const rule = await CommissionRule.findById(req.params.id);
+  if (!rule) return res.status(404).json({ message: 'Commission rule not found', route: req.originalUrl || req.url });
+
+  rule.set(pickRuleFields(req.body));
+  await rule.save();
+  res.json(rule);
+});
+
+// Deactivate a commission rule (kept for the orders that reference it)
+exports.deactivateCommissionRule = asyncHandler(async (req, res) => {
+  const rule = await CommissionRule.findById(req.params.id);
+  if (!rule) return res.status(404).json({ message: 'Commission rule not found', route: req.originalUrl || req.url });
+
+  rule.isActive = false;
+  await rule.save();
+  res.json({ message: 'Commission rule deactivated', rule });
+});
+
+// Show which rule would apply to a seller/category (and its parent categories) at a given time
+exports.previewCommissionRule = asyncHandler(async (req, res) => {
+  const { seller: sellerId, category, at } = req.query;
+  if (!sellerId || !mongoose.Types.ObjectId.isValid(sellerId)) {
+    return res.status(400).json({ message: 'A valid seller is required', route: req.originalUrl || req.url });
+  }
+  const date = at ? new Date(at) : new Date();
+  if (isNaN(date)) {
+    return res.status(400).json({ message: 'Invalid date', route: req.originalUrl || req.url });
+  }
+
+  const seller = await Seller.findById(sellerId).select('commissionPlan');
+  if (!seller) return res.status(404).json({ message: 'Seller not found', route: req.originalUrl || req.url });
+
+  const rules = await loadRulesInEffect(date);
+  const rule = resolveCommissionRule(rules, {
+    sellerId,
+    plan: seller.commissionPlan,
+    categoryChain: mongoose.Types.ObjectId.isValid(category) ? await getCategoryChain(category, new Map()) : []
+  });
+  res.json({ at: date, plan: seller.commissionPlan, rule });
+});
+
+// Set a seller's commission plan
+exports.updateSellerCommissionPlan = asyncHandler(async (req, res) => {
+  const { plan } = req.body;
+  if (!plan || typeof plan !== 'string') {
+    return res.status(400).json({ message: 'plan is required', route: req.originalUrl || req.url });
+  }
+  const seller = await Seller.findByIdAndUpdate(
+    req.params.id,
+    { commissionPlan: plan },
+    { new: true, runValidators: true }
+  );
+  if (!seller) return res.status(404).json({ message: 'Seller not found', route: req.originalUrl || req.url });
+  res.json({ message: 'Commission plan updated', seller });
+});
@@ -1,16 +1,35 @@
+const mongoose = require('mongoose');
 const Coupon = require('../models/Coupon');
-const Seller = require('../models/Seller');
+const CouponCampaign = require('../models/CouponCampaign');
 const { asyncHandler } = require('../middleware/errorMiddleware');
+const { getUsageCount } = require('../utils/coupons');
+const { priceCart } = require('../utils/checkout');
+const { createCampaign, getCampaignStats, renderCampaignCsv } = require('../utils/couponCampaigns');
 
-// Vendor: Create a coupon
+const COUPON_FIELDS = [
+  'code', 'description', 'type', 'discount', 'maxDiscount', 'buyQuantity', 'getQuantity', 'getDiscountPercent',
+  'minOrderValue', 'categories', 'products', 'startsAt', 'expiry', 'usageLimit', 'perUserLimit', 'isActive'
+];
+
+const pickCouponFields = (body, extra = []) => Object.fromEntries(
+  [...COUPON_FIELDS, ...extra].filter(field => body[field] !== undefined).map(field => [field, body[field]])
+);
+
+const withUsage = (coupon) => ({ ...coupon.toObject(), usedCount: getUsageCount(coupon) });
+
+// Price the user's cart (or given items) with a coupon
+const evaluateForCart = (req) => priceCart(req.user._id, { items: req.body.items, couponCode: req.body.code });
+
+// Vendor: Create a coupon for their own products
 exports.createCoupon = asyncHandler(async (req, res) => {
-  const { code, discount, expiry, usageLimit } = req.body;
+  if (!req.user.sellerId) {
+    return res.status(403).json({ message: 'Seller profile not found', route: req.originalUrl || req.url });
+  }
   const coupon = new Coupon({
-    code,
-    discount,
-    vendor: req.user._id,
-    expiry,
-    usageLimit
+    ...pickCouponFields(req.body),
+    ownerType: 'seller',
+    vendor: req.user.sellerId,
+    createdBy: req.user._id
   });
   await coupon.save();
   res.status(201).json(coupon);
@@ -18,36 +37,216 @@ exports.createCoupon = asyncHandler(async (req, res) => {
 
 // Vendor: Get all coupons
 exports.getCoupons = asyncHandler(async (req, res) => {
-  const coupons = await Coupon.find({ vendor: req.user._id });
-  res.json(coupons);
+  // Campaign codes are listed per campaign instead
+  const coupons = await Coupon.find({ ownerType: { $ne: 'platform' }, vendor: req.user.sellerId, campaign: { $exists: false } })
+    .sort({ createdAt: -1 });
+  res.json(coupons.map(withUsage));
 });
 
-// User: Apply a coupon code
-exports.applyCoupon = asyncHandler(async (req, res) => {
-  const { code } = req.body;
-  const coupon = await Coupon.findOne({ code: code.toUpperCase(), isActive: true });
+// Vendor: Update a coupon
+exports.updateCoupon = asyncHandler(async (req, res) => {
+  const coupon = await Coupon.findOne({ _id: req.params.id, ownerType: { $ne: 'platform' }, vendor: req.user.sellerId });
   if (!coupon) {
-    return res.status(404).json({ message: 'Invalid or expired coupon', route: req.originalUrl || req.url });
+    return res.status(404).json({ message: 'Coupon not found', route: req.originalUrl || req.url });
   }
-  if (coupon.expiry < new Date()) {
-    return res.status(400).json({ message: 'Coupon expired', route: req.originalUrl || req.url });
+  coupon.set(pickCouponFields(req.body));
+  await coupon.save();
+  res.json(coupon);
+});
+
+// User: Apply a coupon code to their cart
+exports.applyCoupon = asyncHandler(async (req, res) => {
+  try {
+    const { coupon, couponDiscount, shippingDiscount } = await evaluateForCart(req);
+    res.json({ discount: couponDiscount, shippingDiscount, couponId: coupon._id });
+  } catch (error) {
+    if (error.type !== 'CouponError' && error.type !== 'CheckoutError') throw error;
+    return res.status(error.statusCode).json({ message: error.message, route: req.originalUrl || req.url });
   }
-  if (coupon.usageLimit && coupon.usedBy.length >= coupon.usageLimit) {
-    return res.status(400).json({ message: 'Coupon usage limit reached', route: req.originalUrl || req.url });
+});
+
+// User: Check a coupon against their cart (or given items) and show what it takes off
+exports.validateCoupon = asyncHandler(async (req, res) => {
+  if (!req.body.code) {
+    return res.status(400).json({ valid: false, message: 'code is required', route: req.originalUrl || req.url });
   }
-  if (coupon.usedBy.includes(req.user._id)) {
-    return res.status(400).json({ message: 'You have already used this coupon', route: req.originalUrl || req.url });
+  if (req.body.items !== undefined && !Array.isArray(req.body.items)) {
+    return res.status(400).json({ valid: false, message: 'items must be an array', route: req.originalUrl || req.url });
+  }
+
+  try {
+    const { coupon, couponResult, lines, itemsPrice, couponDiscount, promotionDiscount, shippingDiscount } = await evaluateForCart(req);
+    res.json({
+      valid: true,
+      coupon: {
+        id: coupon._id,
+        code: coupon.code,
+        description: coupon.description,
+        type: coupon.type,
+        ownerType: coupon.ownerType,
+        expiry: coupon.expiry
+      },
+      itemsPrice,
+      // Automatic promotions come off first; the coupon applies to what is left
+      promotionDiscount,
+      eligibleSubtotal: couponResult.eligibleSubtotal,
+      discount: couponDiscount,
+      shippingDiscount,
+      items: lines.map((line) => ({
+        sellerProduct: line.sellerProduct,
+        name: line.name,
+        lineTotal: line.lineTotal,
+        promotionDiscount: line.promotionDiscount,
+        discount: line.couponDiscount
+      }))
+    });
+  } catch (error) {
+    if (error.type !== 'CouponError' && error.type !== 'CheckoutError') throw error;
+    return res.status(error.statusCode).json({ valid: false, message: error.message, route: req.originalUrl || req.url });
   }
-  res.json({ discount: coupon.discount, couponId: coupon._id });
 });
 
 // Vendor: Deactivate a coupon
 exports.deactivateCoupon = asyncHandler(async (req, res) => {
-  const coupon = await Coupon.findOne({ _id: req.params.id, vendor: req.user._id });
+  const coupon = await Coupon.findOne({ _id: req.params.id, ownerType: { $ne: 'platform' }, vendor: req.user.sellerId });
   if (!coupon) {
     return res.status(404).json({ message: 'Coupon not found', route: req.originalUrl || req.url });
   }
   coupon.isActive = false;
   await coupon.save();
   res.json({ message: 'Coupon deactivated' });
-}); 
\ No newline at end of file
+});
+
+// Admin: List coupons (platform and seller)
+exports.getAllCoupons = asyncHandler(async (req, res) => {
+  const filter = {};
+  if (req.query.ownerType) filter.ownerType = req.query.ownerType;
+  if (req.query.vendor) filter.vendor = req.query.vendor;
+  if (req.query.active !== undefined) filter.isActive = req.query.active === 'true';
+  filter.campaign = req.query.campaign && mongoose.Types.ObjectId.isValid(req.query.campaign)
+    ? req.query.campaign
+    : { $exists: false };
+
+  const coupons = await Coupon.find(filter)
+    .populate('vendor', 'businessName')
+    .sort({ createdAt: -1 });
+  res.json(coupons.map(withUsage));
+});
+
+// Admin: Create a platform coupon
+exports.createPlatformCoupon = asyncHandler(async (req, res) => {
+  const coupon = await Coupon.create({
+    ...pickCouponFields(req.body, ['sellers', 'funding', 'platformSharePercent', 'priority']),
+    ownerType: 'platform',
+    createdBy: req.user._id
+  });
+  res.status(201).json(coupon);
+});
+
+// Admin: Update any coupon
+exports.updatePlatformCoupon = asyncHandler(async (req, res) => {
+  const coupon = await Coupon.findById(req.params.id);
+  if (!coupon) {
+    return res.status(404).json({ message: 'Coupon not found', route: req.originalUrl || req.url });
+  }
+  // Funding and priority can be changed here for any coupon, e.g. to co-fund a seller's promotion
+  const extra = ['funding', 'platformSharePercent', 'priority', ...(coupon.ownerType === 'platform' ? ['sellers'] : [])];
+  coupon.set(pickCouponFields(req.body, extra));
+  await coupon.save();
+  res.json(coupon);
+});
+
+// Admin: Deactivate any coupon
+exports.deactivatePlatformCoupon = asyncHandler(async (req, res) => {
+  const coupon = await Coupon.findByIdAndUpdate(req.params.id, { isActive: false }, { new: true });
+  if (!coupon) {
+    return res.status(404).json({ message: 'Coupon not found', route: req.originalUrl || req.url });
+  }
+  res.json({ message: 'Coupon deactivated', coupon });
+});
+
+// Campaigns: admins manage platform campaigns, sellers their own
+const campaignFilter = (req) => (req.user.role === 'admin'
+  ? { ownerType: 'platform' }
+  : { ownerType: 'seller', vendor: req.user.sellerId });
+
+const findCampaign = (req) => (mongoose.Types.ObjectId.isValid(req.params.id)
+  ? CouponCampaign.findOne({ _id: req.params.id, ...campaignFilter(req) })
+  : null);
+
+// Vendor/Admin: Create a campaign of single-use codes
+exports.createCouponCampaign = asyncHandler(async (req, res) => {
+  const isAdmin = req.user.role === 'admin';
+  if (!isAdmin && !req.user.sellerId) {
+    return res.status(403).json({ message: 'Seller profile not found', route: req.originalUrl || req.url });
+  }
+  const { name, description, codePrefix, count, rules = {} } = req.body;
+
+  try {
+    const campaign = await createCampaign({
+      name,
+      description,
+      codePrefix,
+      count,
+      // Sellers cannot choose who funds their discounts
+      rules: pickCouponFields(rules, isAdmin ? ['sellers', 'funding', 'platformSharePercent'] : []),
+      ownerType: isAdmin ? 'platform' : 'seller',
+      vendor: isAdmin ? undefined : req.user.sellerId,
+      createdBy: req.user._id
+    });
+    res.status(201).json(campaign);
+  } catch (error) {
+    if (error.type !== 'CouponError') throw error;
+    return res.status(error.statusCode).json({ message: error.message, route: req.originalUrl || req.url });
+  }
+});
+
+// Vendor/Admin: List campaigns with their redemption stats
+exports.getCouponCampaigns = asyncHandler(async (req, res) => {
+  const campaigns = await CouponCampaign.find(campaignFilter(req)).sort({ createdAt: -1 });
+  const withStats = await Promise.all(campaigns.map(async campaign => ({
+    ...campaign.toObject(),
+    stats: await getCampaignStats(campaign)
+  })));
+  res.json(withStats);
+});
+
+// Vendor/Admin: One campaign with its stats
+exports.getCouponCampaign = asyncHandler(async (req, res) => {
+  const campaign = await findCampaign(req);
+  if (!campaign) {
+    return res.status(404).json({ message: 'Campaign not found', route: req.originalUrl || req.url });
+  }
+  res.json({ ...campaign.toObject(), stats: await getCampaignStats(campaign) });
+});
+
+// Vendor/Admin: Download a campaign's codes as CSV
+exports.exportCouponCampaignCodes = asyncHandler(async (req, res) => {
+  const campaign = await findCampaign(req);
+  if (!campaign) {
+    return res.status(404).json({ message: 'Campaign not found', route: req.originalUrl || req.url });
+  }
+  const coupons = await Coupon.find({ campaign: campaign._id })
+    .select('code isActive expiry usageLimit usedCount usedBy')
+    .sort({ code: 1 })
+    .lean();
+
+  res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+  res.setHeader('Content-Disposition', `attachment; filename="campaign-${campaign.codePrefix}-codes.csv"`);
+  res.send(renderCampaignCsv(campaign, coupons));
+});
+
+// Vendor/Admin: Pause or resume every code of a campaign
+const setCampaignStatus = (status) => asyncHandler(async (req, res) => {
+  const campaign = await findCampaign(req);
+  if (!campaign) {
+    return res.status(404).json({ message: 'Campaign not found', route: req.originalUrl || req.url });
+  }
+  campaign.status = status;
+  campaign.pausedAt = status === 'paused' ? new Date() : undefined;
+  await campaign.save();
+  res.json(campaign);
+});
+
+exports.pauseCouponCampaign = setCampaignStatus('paused');
+exports.resumeCouponCampaign = setCampaignStatus('active');
@@ -1,7 +1,212 @@
 const crypto = require('crypto');
+const mongoose = require('mongoose');
 const { asyncHandler } = require('../middleware/errorMiddleware');
-const { getRazorpayInstance } = require('../utils/razorpay');
+const { getRazorpayInstance, verifyWebhookSignature } = require('../utils/razorpay');
+const { constructWebhookEvent } = require('../utils/stripe');
 const Order = require('../models/Order');
+const OrderGroup = require('../models/OrderGroup');
+const WebhookEvent = require('../models/WebhookEvent');
+const { claimWebhookEvent } = require('../utils/webhookEvents');
+const { loadCheckoutQuote } = require('../utils/checkout');
+const { getPaymentProvider } = require('../utils/paymentProviders');
+const { releaseOrderStock, reacquireOrderStock } = require('../utils/stock');
+const { issueRefund } = require('../utils/refunds');
+const { transitionOrder, canTransition } = require('../utils/orderStateMachine');
+const { syncOrderGroupPayment } = require('../utils/orderGroups');
+
+// Orders created for a Razorpay order carry its id either on razorpayOrderId
+// (POST /api/orders/razorpay) or on paymentResult after a capture
+const findOrdersByRazorpayOrderId = (razorpayOrderId) => Order.find({
+  $or: [
+    { razorpayOrderId },
+    { 'paymentResult.razorpay_order_id': razorpayOrderId }
+  ]
+});
+
+// Record a successful gateway payment on one order and settle its stock
+async function applyOrderPayment(order, paymentMethod, paymentResult) {
+  order.paymentStatus = 'paid';
+  if (order.orderStatus === 'pending') transitionOrder(order, 'confirmed', { note: 'Payment captured' });
+  order.paymentMethod = paymentMethod;
+  order.paymentResult = paymentResult;
+  await order.save();
+
+  if (order.orderStatus === 'cancelled') {
+    // Paid after the order expired or was cancelled: send the money back
+    try {
+      await issueRefund(order, { reason: 'Payment received for cancelled order', markOrderRefunded: false });
+    } catch (error) {
+      console.error(`Auto-refund failed for cancelled order ${order._id}:`, error);
+    }
+  } else {
+    // Stock released by an earlier failed attempt is taken again
+    await reacquireOrderStock(order);
+  }
+}
+
+// Mark every order of a Razorpay order as paid; already settled orders are left untouched
+async function markRazorpayOrdersPaid(razorpayOrderId, payment) {
+  const orders = await findOrdersByRazorpayOrderId(razorpayOrderId);
+  let updated = 0;
+  for (const order of orders) {
+    if (['paid', 'partially_refunded', 'refunded'].includes(order.paymentStatus)) continue;
+    await applyOrderPayment(order, 'razorpay', {
+      id: payment.id,
+      status: payment.status || 'captured',
+      update_time: new Date().toISOString(),
+      email_address: payment.email || order.paymentResult?.email_address || '',
+      razorpay_order_id: razorpayOrderId,
+      razorpay_signature: order.paymentResult?.razorpay_signature,
+    });
+    updated += 1;
+  }
+  if (updated > 0) {
+    await syncOrderGroupPayment(orders.map(o => o.orderGroup), {
+      id: payment.id,
+      status: payment.status || 'captured',
+      update_time: new Date().toISOString(),
+      razorpay_order_id: razorpayOrderId,
+    });
+  }
+  return updated;
+}
+
+// Mark still-pending orders as failed and give their stock back. Returns the number of orders changed.
+async function markOrdersPaymentFailed(orders, paymentResult) {
+  let updated = 0;
+  for (const order of orders) {
+    // A later successful attempt on the same gateway payment may already have paid it
+    if (order.paymentStatus !== 'pending') continue;
+    order.paymentStatus = 'failed';
+    order.paymentResult = paymentResult;
+    await order.save();
+    await releaseOrderStock(order);
+    updated += 1;
+  }
+  await syncOrderGroupPayment(orders.map(o => o.orderGroup));
+  return updated;
+}
+
+// Webhook event handlers, keyed by Razorpay event name. Each returns the number of orders changed.
+const razorpayWebhookHandlers = {
+  'payment.captured': async (payload) => {
+    const payment = payload.payment?.entity;
+    if (!payment?.order_id) return 0;
+    return markRazorpayOrdersPaid(payment.order_id, payment);
+  },
+
+  'order.paid': async (payload) => {
+    const rpOrder = payload.order?.entity;
+    const payment = payload.payment?.entity || {};
+    const razorpayOrderId = rpOrder?.id || payment.order_id;
+    if (!razorpayOrderId) return 0;
+    return markRazorpayOrdersPaid(razorpayOrderId, { ...payment, status: payment.status || 'captured' });
+  },
+
+  'payment.failed': async (payload) => {
+    const payment = payload.payment?.entity;
+    if (!payment?.order_id) return 0;
+    const orders = await findOrdersByRazorpayOrderId(payment.order_id);
+    return markOrdersPaymentFailed(orders, {
+      id: payment.id,
+      status: payment.status || 'failed',
+      update_time: new Date().toISOString(),
+      email_address: payment.email || '',
+      razorpay_order_id: payment.order_id,
+    });
+  },
+
+  'refund.processed': async (payload) => {
+    const refund = payload.refund?.entity;
+    if (!refund?.payment_id) return 0;
+
+    // Refunds issued through our API are already recorded on the order; just settle them
+    const settled = await Order.updateMany(
+      { refunds: { $elemMatch: { gatewayRefundId: refund.id, status: { $ne: 'processed' } } } },
+      { $set: { 'refunds.$.status': 'processed', 'refunds.$.processedAt': new Date() } }
+    );
+    if (settled.modifiedCount > 0) return settled.modifiedCount;
+    const known = await Order.exists({ 'refunds.gatewayRefundId': refund.id });
+    if (known) return 0;
+
+    // Refund issued from the Razorpay dashboard
+    const orders = await Order.find({ 'paymentResult.id': refund.payment_id });
+    if (orders.length === 0) return 0;
+
+    // Prefer the cumulative refunded amount from the payment entity when Razorpay sends it
+    const payment = payload.payment?.entity;
+    const paidPaise = payment?.amount ?? Math.round(orders.reduce((sum, o) => sum + (o.totalPrice || 0), 0) * 100);
+    const refundedPaise = payment?.amount_refunded ?? refund.amount ?? 0;
+    if (refundedPaise < paidPaise) {
+      console.log(`Partial refund ${refund.id} on payment ${refund.payment_id}: ${refundedPaise}/${paidPaise} paise`);
+      return 0;
+    }
+
+    let updated = 0;
+    for (const order of orders) {
+      if (order.paymentStatus === 'refunded') continue;
+      order.paymentStatus = 'refunded';
+      if (canTransition(order.orderStatus, 'refunded', 'system')) {
+        transitionOrder(order, 'refunded', { note: `Refunded from Razorpay dashboard (${refund.id})` });
+      }
+      await order.save();
+      updated += 1;
+    }
+    await syncOrderGroupPayment(orders.map(o => o.orderGroup));
+    return updated;
+  },
+};
+
+// Webhook event handlers, keyed by Stripe event type. Each returns the number of orders changed.
+const stripeWebhookHandlers = {
+  'payment_intent.succeeded': async (intent) => {
+    const orders = await Order.find({ stripePaymentIntentId: intent.id });
+    const paymentResult = {
+      id: intent.id,
+      status: intent.status,
+      update_time: new Date().toISOString(),
+      email_address: intent.receipt_email || ''
+    };
+
+    // The intent was created for the checkout total; anything less is not a full payment
+    const totalPaise = Math.round(orders.reduce((sum, o) => sum + (o.totalPrice || 0), 0) * 100);
+    if (orders.length > 0 && Math.abs((intent.amount_received || 0) - totalPaise) > 2) {
+      console.error(`Stripe payment ${intent.id} amount ${intent.amount_received} does not match orders total ${totalPaise}`);
+      return 0;
+    }
+
+    let updated = 0;
+    for (const order of orders) {
+      if (['paid', 'partially_refunded', 'refunded'].includes(order.paymentStatus)) continue;
+      await applyOrderPayment(order, 'stripe', paymentResult);
+      updated += 1;
+    }
+    if (updated > 0) {
+      await syncOrderGroupPayment(orders.map(o => o.orderGroup), paymentResult);
+    }
+    return updated;
+  },
+
+  'payment_intent.payment_failed': async (intent) => {
+    const orders = await Order.find({ stripePaymentIntentId: intent.id });
+    return markOrdersPaymentFailed(orders, {
+      id: intent.id,
+      status: intent.status,
+      update_time: new Date().toISOString(),
+      email_address: intent.receipt_email || ''
+    });
+  },
+
+  // Refunds Stripe could not complete immediately are settled here
+  'charge.refund.updated': async (refund) => {
+    if (refund.status !== 'succeeded') return 0;
+    const settled = await Order.updateMany(
+      { refunds: { $elemMatch: { gatewayRefundId: refund.id, status: 'pending' } } },
+      { $set: { 'refunds.$.status': 'processed', 'refunds.$.processedAt': new Date() } }
+    );
+    return settled.modifiedCount;
+  },
+};
 
 // Public key endpoint
 exports.getRazorpayKey = asyncHandler(async (req, res) => {
@@ -10,34 +215,33 @@ exports.getRazorpayKey = asyncHandler(async (req, res) => {
   res.json({ key: keyId });
 });
 
-// Create a Razorpay order for the total amount (in paise)
-exports.createRazorpayOrder = asyncHandler(async (req, res) => {
-  const { amount, currency = 'INR', receipt, notes } = req.body;
-
-  if (!amount || typeof amount !== 'number' || amount <= 0) {
-    return res.status(400).json({ message: 'Invalid amount' });
-  }
-
-  const instance = getRazorpayInstance();
-
-  const options = {
-    amount: Math.round(amount), // amount expected in paise by Razorpay
-    currency,
-    receipt: receipt || `rcpt_${Date.now()}`,
-    notes: {
-      ...(notes || {}),
-      userId: req.user?._id?.toString() || 'guest',
-    },
-  };
+// Start a gateway payment for a checkout session's total through its payment provider
+const initiateQuotePayment = async (req, res, method) => {
+  const { checkoutSessionId, receipt, notes } = req.body;
 
+  // The amount is never taken from the client; it is the server-priced quote total
   try {
-    const order = await instance.orders.create(options);
-    return res.status(201).json({ order });
+    const quote = await loadCheckoutQuote(checkoutSessionId, req.user._id);
+    if (!(quote.total > 0)) {
+      return res.status(400).json({ message: 'Invalid amount' });
+    }
+    const result = await getPaymentProvider(method).initiatePayment(quote, {
+      userId: req.user?._id,
+      receipt,
+      notes
+    });
+    return res.status(201).json(result);
   } catch (error) {
-    console.error('Razorpay order creation failed:', error);
-    return res.status(502).json({ message: 'Failed to initialize payment' });
+    if (error.type !== 'CheckoutError' && error.type !== 'PaymentProviderError') throw error;
+    return res.status(error.statusCode).json({ message: error.message });
   }
-});
+};
+
+// Create a Razorpay order for a checkout session's total (in paise)
+exports.createRazorpayOrder = asyncHandler(async (req, res) => initiateQuotePayment(req, res, 'razorpay'));
+
+// Create a Stripe PaymentIntent for a checkout session's total
+exports.createStripePaymentIntent = asyncHandler(async (req, res) => initiateQuotePayment(req, res, 'stripe'));
 
 // Verify payment signature from Razorpay checkout
 exports.verifyRazorpayPayment = asyncHandler(async (req, res) => {
@@ -60,30 +264,21 @@ exports.verifyRazorpayPayment = asyncHandler(async (req, res) => {
   return res.status(200).json({ verified: true });
 });
 
-// Confirm and attach payment to orders (after verification), then mark paid
-exports.capturePaymentForOrders = asyncHandler(async (req, res) => {
-  const {
-    orderIds = [],
-    razorpay_order_id,
-    razorpay_payment_id,
-    razorpay_signature,
-  } = req.body;
-
-  if (!Array.isArray(orderIds) || orderIds.length === 0) {
-    return res.status(400).json({ message: 'orderIds is required' });
-  }
+// Verify, capture and record one Razorpay payment covering `orders`, then respond
+const captureRazorpayPayment = async (req, res, orders) => {
+  const { razorpay_order_id, razorpay_payment_id, razorpay_signature } = req.body;
   if (!razorpay_order_id || !razorpay_payment_id || !razorpay_signature) {
     return res.status(400).json({ message: 'Missing payment fields' });
   }
 
-  // Check if orders are already paid to prevent duplicate payments
-  const orders = await Order.find({ _id: { $in: orderIds } });
-  if (orders.length !== orderIds.length) {
-    return res.status(404).json({ message: 'Some orders not found' });
-  }
-
   // Check if any order is already paid
   const alreadyPaidOrders = orders.filter(order => order.paymentStatus === 'paid');
+  // The webhook may have reconciled this exact payment before the browser got here
+  const paidByThisPayment = alreadyPaidOrders.length === orders.length &&
+    orders.every(o => o.paymentResult?.id === razorpay_payment_id);
+  if (paidByThisPayment && orders.every(o => o.user?.toString() === req.user?._id?.toString())) {
+    return res.status(200).json({ success: true, orders });
+  }
   if (alreadyPaidOrders.length > 0) {
     return res.status(400).json({ 
       message: 'Some orders are already paid', 
@@ -131,22 +326,136 @@ exports.capturePaymentForOrders = asyncHandler(async (req, res) => {
   }
 
   // Update orders with payment info
+  const paymentResult = {
+    id: razorpay_payment_id,
+    status: 'captured',
+    update_time: new Date().toISOString(),
+    email_address: req.user?.email || '',
+    razorpay_order_id,
+    razorpay_signature,
+  };
   for (const order of orders) {
-    order.paymentStatus = 'paid';
-    order.orderStatus = 'confirmed';
-    order.paymentMethod = 'razorpay';
-    order.paymentResult = {
-      id: razorpay_payment_id,
-      status: 'captured',
-      update_time: new Date().toISOString(),
-      email_address: req.user?.email || '',
-      razorpay_order_id,
-      razorpay_signature,
-    };
-    await order.save();
+    await applyOrderPayment(order, 'razorpay', paymentResult);
   }
+  await syncOrderGroupPayment(orders.map(o => o.orderGroup), paymentResult);
 
   res.status(200).json({ success: true, orders });
+};
+
+// Confirm and attach payment to orders (after verification), then mark paid
+exports.capturePaymentForOrders = asyncHandler(async (req, res) => {
+  const { orderIds = [] } = req.body;
+  if (!Array.isArray(orderIds) || orderIds.length === 0) {
+    return res.status(400).json({ message: 'orderIds is required' });
+  }
+
+  // Check if orders are already paid to prevent duplicate payments
+  const orders = await Order.find({ _id: { $in: orderIds } });
+  if (orders.length !== orderIds.length) {
+    return res.status(404).json({ message: 'Some orders not found' });
+  }
+  return captureRazorpayPayment(req, res, orders);
 });
 
+// Capture the Razorpay payment for every order in a checkout's order group
+exports.captureOrderGroupPayment = asyncHandler(async (req, res) => {
+  const group = mongoose.Types.ObjectId.isValid(req.params.id)
+    ? await OrderGroup.findById(req.params.id)
+    : null;
+  if (!group) {
+    return res.status(404).json({ message: 'Order group not found' });
+  }
+  if (String(group.user) !== String(req.user._id)) {
+    return res.status(403).json({ message: 'You are not authorized to pay for these orders' });
+  }
+
+  const orders = await Order.find({ orderGroup: group._id });
+  if (orders.length === 0) {
+    return res.status(404).json({ message: 'Order group has no orders' });
+  }
+  return captureRazorpayPayment(req, res, orders);
+});
 
+// Razorpay webhook (public, authenticated by signature). Reconciles orders even if
+// the customer closes the tab before the browser calls the capture endpoint.
+exports.handleRazorpayWebhook = asyncHandler(async (req, res) => {
+  const signature = req.headers['x-razorpay-signature'];
+
+  let isValid;
+  try {
+    isValid = verifyWebhookSignature(req.rawBody, signature);
+  } catch (error) {
+    console.error('Razorpay webhook misconfigured:', error.message);
+    return res.status(500).json({ message: 'Webhook not configured' });
+  }
+  if (!isValid) {
+    return res.status(400).json({ message: 'Invalid webhook signature' });
+  }
+
+  const { event, payload = {} } = req.body || {};
+  if (!event) {
+    return res.status(400).json({ message: 'Missing webhook event' });
+  }
+
+  // Razorpay sends a unique id per event; fall back to the body hash for older integrations
+  const eventId = req.headers['x-razorpay-event-id'] ||
+    crypto.createHash('sha256').update(req.rawBody).digest('hex');
+
+  const record = await claimWebhookEvent({ provider: 'razorpay', eventId, event });
+  if (!record) {
+    return res.status(200).json({ received: true, duplicate: true });
+  }
+
+  const handler = razorpayWebhookHandlers[event];
+  try {
+    const ordersUpdated = handler ? await handler(payload) : 0;
+    record.status = handler ? 'processed' : 'ignored';
+    record.entityId = payload.payment?.entity?.id || payload.refund?.entity?.id || payload.order?.entity?.id;
+    record.ordersUpdated = ordersUpdated;
+    record.processedAt = new Date();
+    await record.save();
+  } catch (error) {
+    // Forget the event so Razorpay's retry gets processed
+    await WebhookEvent.deleteOne({ _id: record._id });
+    console.error(`Razorpay webhook ${event} failed:`, error);
+    return res.status(500).json({ message: 'Failed to process webhook' });
+  }
+
+  res.status(200).json({ received: true });
+});
+
+// Stripe webhook (public, authenticated by signature). Marks orders paid or failed when the
+// PaymentIntent confirmed on the client succeeds or fails.
+exports.handleStripeWebhook = asyncHandler(async (req, res) => {
+  let event;
+  try {
+    event = constructWebhookEvent(req.rawBody, req.headers['stripe-signature']);
+  } catch (error) {
+    console.error('Stripe webhook misconfigured:', error.message);
+    return res.status(500).json({ message: 'Webhook not configured' });
+  }
+  if (!event) {
+    return res.status(400).json({ message: 'Invalid webhook signature' });
+  }
+
+  const object = event.data?.object || {};
+  const record = await claimWebhookEvent({ provider: 'stripe', eventId: event.id, event: event.type, entityId: object.id });
+  if (!record) {
+    return res.status(200).json({ received: true, duplicate: true });
+  }
+
+  const handler = stripeWebhookHandlers[event.type];
+  try {
+    record.ordersUpdated = handler ? await handler(object) : 0;
+    record.status = handler ? 'processed' : 'ignored';
+    record.processedAt = new Date();
+    await record.save();
+  } catch (error) {
+    // Forget the event so Stripe's retry gets processed
+    await WebhookEvent.deleteOne({ _id: record._id });
+    console.error(`Stripe webhook ${event.type} failed:`, error);
+    return res.status(500).json({ message: 'Failed to process webhook' });
+  }
+
+  res.status(200).json({ received: true });
+});
@@ -0,0 +1,196 @@
+const PayoutAccount = require('../models/PayoutAccount');
+const asyncHandler = require('express-async-handler');
+
+const ACCOUNT_FIELDS = ['label', 'accountHolderName', 'accountNumber', 'ifscCode', 'bankName', 'branch', 'upiId', 'walletNumber'];
+
+const pickAccountFields = (body) => Object.fromEntries(
+  ACCOUNT_FIELDS.filter(field => body[field] !== undefined).map(field => [field, body[field]])
+);
+
+// Helper: make one of the seller's accounts the default, clearing the previous one first
+async function setDefaultAccount(sellerId, accountId) {
+  await PayoutAccount.updateMany(
+    { seller: sellerId, isDefault: true, _id: { $ne: accountId } },
+    { $set: { isDefault: false } }
+  );
+  return PayoutAccount.findOneAndUpdate(
+    { _id: accountId, seller: sellerId },
+    { $set: { isDefault: true } },
+    { new: true }
+  );
+}
+
+// @desc    Get seller's saved payout accounts
+// @route   GET /api/wallet/payout-accounts
+// @access  Private (Seller)
+const getPayoutAccounts = asyncHandler(async (req, res) => {
+  const accounts = await PayoutAccount.find({ seller: req.user.sellerId })
+    .sort({ isDefault: -1, createdAt: -1 });
+
+  res.json({
+    success: true,
+    data: accounts
+  });
+});
+
+// @desc    Add a payout account (verified by an admin before it can be used)
+// @route   POST /api/wallet/payout-accounts
+// @access  Private (Seller)
+const createPayoutAccount = asyncHandler(async (req, res) => {
+  const sellerId = req.user.sellerId;
+  const account = new PayoutAccount({
+    ...pickAccountFields(req.body),
+    type: req.body.type,
+    seller: sellerId
+  });
+
+  // The first account, or one explicitly asked for, becomes the default
+  const hasDefault = await PayoutAccount.exists({ seller: sellerId, isDefault: true });
+  await account.save();
+  const saved = (!hasDefault || req.body.isDefault === true)
+    ? await setDefaultAccount(sellerId, account._id)
+    : account;
+
+  res.status(201).json({
+    success: true,
+    message: 'Payout account added and awaiting verification',
+    data: saved
+  });
+});
+
+// @desc    Update a payout account. Changing its details sends it back for verification.
+// @route   PUT /api/wallet/payout-accounts/:id
+// @access  Private (Seller)
+const updatePayoutAccount = asyncHandler(async (req, res) => {
+  const account = await PayoutAccount.findOne({ _id: req.params.id, seller: req.user.sellerId });
+  if (!account) {
+    res.status(404);
+    throw new Error('Payout account not found');
+  }
+
+  account.set(pickAccountFields(req.body));
+  await account.save();
+
+  res.json({
+    success: true,
+    message: account.verificationStatus === 'pending'
+      ? 'Payout account updated and awaiting verification'
+      : 'Payout account updated',
+    data: account
+  });
+});
+
+// @desc    Make a payout account the default
+// @route   PUT /api/wallet/payout-accounts/:id/default
+// @access  Private (Seller)
+const setDefaultPayoutAccount = asyncHandler(async (req, res) => {
+  const sellerId = req.user.sellerId;
+  if (!(await PayoutAccount.exists({ _id: req.params.id, seller: sellerId }))) {
+    res.status(404);
+    throw new Error('Payout account not found');
+  }
+
+  const account = await setDefaultAccount(sellerId, req.params.id);
+  res.json({
+    success: true,
+    message: 'Default payout account updated',
+    data: account
+  });
+});
+
+// @desc    Remove a payout account. Past withdrawals keep a copy of its details.
+// @route   DELETE /api/wallet/payout-accounts/:id
+// @access  Private (Seller)
+const deletePayoutAccount = asyncHandler(async (req, res) => {
+  const sellerId = req.user.sellerId;
+  const account = await PayoutAccount.findOneAndDelete({ _id: req.params.id, seller: sellerId });
+  if (!account) {
+    res.status(404);
+    throw new Error('Payout account not found');
+  }
+
+  // Promote the newest remaining account if the default was removed
+  if (account.isDefault) {
+    const next = await PayoutAccount.findOne({ seller: sellerId }).sort({ createdAt: -1 });
+    if (next) await setDefaultAccount(sellerId, next._id);
+  }
+
+  res.json({
+    success: true,
+    message: 'Payout account removed'
+  });
+});
+
+// @desc    List payout accounts for verification (Admin)
+// @route   GET /api/wallet/admin/payout-accounts
+// @access  Private (Admin)
+const getPayoutAccountsForReview = asyncHandler(async (req, res) => {
+  const page = parseInt(req.query.page) || 1;
+  const limit = Math.min(parseInt(req.query.limit) || 10, 100);
+  const filter = {};
+  if (req.query.status) filter.verificationStatus = req.query.status;
+  if (req.query.seller) filter.seller = req.query.seller;
+
+  const accounts = await PayoutAccount.find(filter)
+    .populate('seller', 'businessName email phone')
+    .sort({ createdAt: -1 })
+    .skip((page - 1) * limit)
+    .limit(limit);
+  const total = await PayoutAccount.countDocuments(filter);
+
+  res.json({
+    success: true,
+    data: {
+      accounts,
+      pagination: {
+        page,
+        limit,
+        total,
+        totalPages: Math.ceil(total / limit)
+      }
+    }
+  });
+});
+
+// @desc    Verify or reject a payout account (Admin)
+// @route   PUT /api/wallet/admin/payout-accounts/:id/verify
+// @access  Private (Admin)
+const verifyPayoutAccount = asyncHandler(async (req, res) => {
+  const { status, reason } = req.body;
+  if (!['verified', 'rejected'].includes(status)) {
+    res.status(400);
+    throw new Error("status must be 'verified' or 'rejected'");
+  }
+  if (status === 'rejected' && !reason) {
+    res.status(400);
+    throw new Error('A reason is required to reject a payout account');
+  }
+
+  const account = await PayoutAccount.findById(req.params.id);
+  if (!account) {
+    res.status(404);
+    throw new Error('Payout account not found');
+  }
+
+  account.verificationStatus = status;
+  account.verifiedBy = req.user.id;
+  account.verifiedAt = new Date();
+  account.rejectionReason = status === 'rejected' ? reason : undefined;
+  await account.save();
+
+  res.json({
+    success: true,
+    message: `Payout account ${status}`,
+    data: account
+  });
+});
+
+module.exports = {
+  getPayoutAccounts,
+  createPayoutAccount,
+  updatePayoutAccount,
+  setDefaultPayoutAccount,
+  deletePayoutAccount,
+  getPayoutAccountsForReview,
+  verifyPayoutAccount
+};
@@ -4,6 +4,7 @@ const { asyncHandler } = require('../middleware/errorMiddleware');
 const EventBanner = require('../models/EventBanner');
 const SellerProduct = require('../models/SellerProduct');
 const cloudinary = require('../utils/cloudinary');
+const { searchListings } = require('../utils/productSearch');
 
 // Get all products (public)
 exports.getProducts = asyncHandler(async (req, res) => {
@@ -243,53 +244,37 @@ exports.getFeaturedProducts = asyncHandler(async (req, res) => {
   res.json(featuredListings);
 });
 
-// Search products
+// Search products (public): full-text search with typo tolerance, facet counts and filters
 exports.searchProducts = asyncHandler(async (req, res) => {
-  const { q, category, minPrice, maxPrice, sortBy = 'relevance', page = 1, limit = 12 } = req.query;
-  
-  const searchQuery = { isListed: true };
-  
-  if (q) {
-    searchQuery['product.name'] = { $regex: q, $options: 'i' };
-  }
-  
-  if (category) {
-    searchQuery['product.category'] = category;
-  }
-  
-  if (minPrice || maxPrice) {
-    searchQuery.sellerPrice = {};
-    if (minPrice) searchQuery.sellerPrice.$gte = parseFloat(minPrice);
-    if (maxPrice) searchQuery.sellerPrice.$lte = parseFloat(maxPrice);
-  }
-
-  const skip = (parseInt(page) - 1) * parseInt(limit);
-  
-  const listings = await SellerProduct.find(searchQuery)
-    .populate({
-      path: 'product',
-      populate: [
-        { path: 'category', select: 'name' },
-        { path: 'subCategory', select: 'name' }
-      ]
-    })
-    .populate('seller', 'shopName')
-    .sort(sortBy === 'price-low' ? { sellerPrice: 1 } : 
-          sortBy === 'price-high' ? { sellerPrice: -1 } : 
-          sortBy === 'rating' ? { 'product.rating': -1 } : 
-          { 'product.name': 1 })
-    .skip(skip)
-    .limit(parseInt(limit));
-
-  const total = await SellerProduct.countDocuments(searchQuery);
+  // Repeated or bracketed query params parse to arrays and objects; only plain strings are used
+  const text = (value) => (typeof value === 'string' ? value : undefined);
+  const [q, category, brand, unit, sortBy] = ['q', 'category', 'brand', 'unit', 'sortBy'].map(key => text(req.query[key]));
+  const page = Math.max(parseInt(req.query.page) || 1, 1);
+  const limit = Math.min(Math.max(parseInt(req.query.limit) || 12, 1), 100);
+  const toNumber = (value) => (text(value) ? parseFloat(value) : undefined);
+
+  const { listings, total, facets } = await searchListings({
+    q,
+    category,
+    brand,
+    unit,
+    minPrice: toNumber(req.query.minPrice),
+    maxPrice: toNumber(req.query.maxPrice),
+    minRating: toNumber(req.query.minRating),
+    inStock: req.query.inStock === 'true',
+    sortBy,
+    page,
+    limit
+  });
 
   res.json({
     products: listings,
+    facets,
     pagination: {
-      page: parseInt(page),
-      limit: parseInt(limit),
+      page,
+      limit,
       total,
-      pages: Math.ceil(total / parseInt(limit))
+      pages: Math.ceil(total / limit)
     }
   });
 });
@@ -0,0 +1,102 @@
+const Promotion = require('../models/Promotion');
+const { asyncHandler } = require('../middleware/errorMiddleware');
+
+const PROMOTION_FIELDS = [
+  'name', 'description', 'type', 'discount', 'maxDiscount', 'tiers', 'bundleQuantity', 'bundlePrice',
+  'categories', 'products', 'sellerProducts', 'startsAt', 'endsAt', 'stackable', 'stacksWithCoupons', 'isActive'
+];
+
+// Only admins choose platform-wide scoping, who funds a promotion and how it ranks against
+// other promotions and coupons
+const ADMIN_FIELDS = ['sellers', 'funding', 'platformSharePercent', 'priority'];
+
+const pickPromotionFields = (body, extra = []) => Object.fromEntries(
+  [...PROMOTION_FIELDS, ...extra].filter(field => body[field] !== undefined).map(field => [field, body[field]])
+);
+
+// Vendor: Create an automatic promotion on their own products
+exports.createPromotion = asyncHandler(async (req, res) => {
+  if (!req.user.sellerId) {
+    return res.status(403).json({ message: 'Seller profile not found', route: req.originalUrl || req.url });
+  }
+  const promotion = await Promotion.create({
+    ...pickPromotionFields(req.body),
+    ownerType: 'seller',
+    vendor: req.user.sellerId,
+    createdBy: req.user._id
+  });
+  res.status(201).json(promotion);
+});
+
+// Vendor: Get their promotions
+exports.getPromotions = asyncHandler(async (req, res) => {
+  const promotions = await Promotion.find({ ownerType: 'seller', vendor: req.user.sellerId }).sort({ priority: -1, createdAt: -1 });
+  res.json(promotions);
+});
+
+// Vendor: Update a promotion
+exports.updatePromotion = asyncHandler(async (req, res) => {
+  const promotion = await Promotion.findOne({ _id: req.params.id, ownerType: 'seller', vendor: req.user.sellerId });
+  if (!promotion) {
+    return res.status(404).json({ message: 'Promotion not found', route: req.originalUrl || req.url });
+  }
+  promotion.set(pickPromotionFields(req.body));
+  await promotion.save();
+  res.json(promotion);
+});
+
+// Vendor: Deactivate a promotion
+exports.deactivatePromotion = asyncHandler(async (req, res) => {
+  const promotion = await Promotion.findOneAndUpdate(
+    { _id: req.params.id, ownerType: 'seller', vendor: req.user.sellerId },
+    { isActive: false },
+    { new: true }
+  );
+  if (!promotion) {
+    return res.status(404).json({ message: 'Promotion not found', route: req.originalUrl || req.url });
+  }
+  res.json({ message: 'Promotion deactivated', promotion });
+});
+
+// Admin: List promotions (platform and seller)
+exports.getAllPromotions = asyncHandler(async (req, res) => {
+  const filter = {};
+  if (req.query.ownerType) filter.ownerType = req.query.ownerType;
+  if (req.query.vendor) filter.vendor = req.query.vendor;
+  if (req.query.active !== undefined) filter.isActive = req.query.active === 'true';
+
+  const promotions = await Promotion.find(filter)
+    .populate('vendor', 'businessName')
+    .sort({ priority: -1, createdAt: -1 });
+  res.json(promotions);
+});
+
+// Admin: Create a platform promotion
+exports.createPlatformPromotion = asyncHandler(async (req, res) => {
+  const promotion = await Promotion.create({
+    ...pickPromotionFields(req.body, ADMIN_FIELDS),
+    ownerType: 'platform',
+    createdBy: req.user._id
+  });
+  res.status(201).json(promotion);
+});
+
+// Admin: Update any promotion
+exports.updatePlatformPromotion = asyncHandler(async (req, res) => {
+  const promotion = await Promotion.findById(req.params.id);
+  if (!promotion) {
+    return res.status(404).json({ message: 'Promotion not found', route: req.originalUrl || req.url });
+  }
+  promotion.set(pickPromotionFields(req.body, ADMIN_FIELDS));
+  await promotion.save();
+  res.json(promotion);
+});
+
+// Admin: Deactivate any promotion
+exports.deactivatePlatformPromotion = asyncHandler(async (req, res) => {
+  const promotion = await Promotion.findByIdAndUpdate(req.params.id, { isActive: false }, { new: true });
+  if (!promotion) {
+    return res.status(404).json({ message: 'Promotion not found', route: req.originalUrl || req.url });
+  }
+  res.json({ message: 'Promotion deactivated', promotion });
+});
@@ -4,7 +4,10 @@ const Product = require('../models/Product');
 const cloudinary = require('../utils/cloudinary');
 const Category = require('../models/Category');
 const mongoose = require('mongoose');
+const Order = require('../models/Order');
 const { UNITS } = require('../utils/units');
+const { transitionOrder, getAllowedTransitions } = require('../utils/orderStateMachine');
+const { creditOrderEarnings } = require('../utils/earnings');
 
 // Register a new seller (vendor request)
 exports.register = async (req, res) => {
@@ -455,14 +458,148 @@ exports.updateSoldCount = async (req, res) => {
 
 
 
-// Placeholder: Get seller orders
-exports.getOrders = (req, res) => {
-  res.json({ message: 'Get seller orders' });
+const SELLER_ORDER_SORT_FIELDS = ['createdAt', 'totalPrice', 'orderNumber', 'orderStatus'];
+
+// Seller order status actions and the order status each one moves to
+const SELLER_ORDER_ACTIONS = {
+  accept: 'confirmed',
+  pack: 'processing',
+  ship: 'shipped',
+  deliver: 'delivered'
+};
+
+// Build the order filter for GET /api/sellers/orders from its query string
+const buildSellerOrderFilter = (sellerId, query) => {
+  const filter = { seller: sellerId };
+  if (query.status) filter.orderStatus = { $in: String(query.status).split(',') };
+  if (query.paymentMethod) filter.paymentMethod = { $in: String(query.paymentMethod).split(',') };
+  if (query.paymentStatus) filter.paymentStatus = { $in: String(query.paymentStatus).split(',') };
+  if (query.from || query.to) {
+    filter.createdAt = {};
+    if (query.from) filter.createdAt.$gte = new Date(query.from);
+    if (query.to) filter.createdAt.$lte = new Date(query.to);
+  }
+  return filter;
+};
+
+// Get orders for the current seller, with filters, pagination and sort
+exports.getOrders = async (req, res) => {
+  try {
+    const seller = await Seller.findOne({ userId: req.user._id });
+    if (!seller) return res.status(404).json({ message: 'Seller not found' });
+
+    const { from, to } = req.query;
+    if ((from && isNaN(new Date(from))) || (to && isNaN(new Date(to)))) {
+      return res.status(400).json({ message: 'Invalid date range' });
+    }
+
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 100);
+    const skip = (page - 1) * limit;
+
+    // sort=-createdAt (default), sort=totalPrice, ...; _id breaks ties so pages don't overlap
+    const sortParam = String(req.query.sort || '-createdAt');
+    const sortField = sortParam.replace(/^-/, '');
+    if (!SELLER_ORDER_SORT_FIELDS.includes(sortField)) {
+      return res.status(400).json({ message: `Invalid sort field: ${sortField}` });
+    }
+    const direction = sortParam.startsWith('-') ? -1 : 1;
+
+    const filter = buildSellerOrderFilter(seller._id, req.query);
+    const orders = await Order.find(filter)
+      .populate('user', 'firstName lastName email')
+      .populate('orderItems.product', 'name')
+      .sort({ [sortField]: direction, _id: direction })
+      .skip(skip)
+      .limit(limit);
+    const total = await Order.countDocuments(filter);
+
+    res.json({
+      orders,
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    });
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
 };
 
-// Placeholder: Update order status
-exports.updateOrderStatus = (req, res) => {
-  res.json({ message: 'Update order status' });
+// Get one of the current seller's orders
+exports.getOrder = async (req, res) => {
+  try {
+    const seller = await Seller.findOne({ userId: req.user._id });
+    if (!seller) return res.status(404).json({ message: 'Seller not found' });
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(404).json({ message: 'Order not found' });
+    }
+
+    // Scoped to the seller, so other sellers' orders look the same as missing ones
+    const order = await Order.findOne({ _id: req.params.id, seller: seller._id })
+      .populate('user', 'firstName lastName email phone')
+      .populate('orderItems.product', 'name images sku')
+      .populate('statusHistory.actor', 'firstName lastName role');
+    if (!order) return res.status(404).json({ message: 'Order not found' });
+
+    res.json({
+      order,
+      allowedActions: Object.keys(SELLER_ORDER_ACTIONS)
+        .filter(action => getAllowedTransitions(order, 'seller').includes(SELLER_ORDER_ACTIONS[action]))
+    });
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+};
+
+// Update the status of one of the current seller's orders: accept, pack, ship (with tracking) or deliver
+exports.updateOrderStatus = async (req, res) => {
+  try {
+    const { action, trackingNumber, trackingUrl, estimatedDelivery, note } = req.body;
+    const status = SELLER_ORDER_ACTIONS[action];
+    if (!status) {
+      return res.status(400).json({ message: `Invalid action. Use one of: ${Object.keys(SELLER_ORDER_ACTIONS).join(', ')}` });
+    }
+
+    const seller = await Seller.findOne({ userId: req.user._id });
+    if (!seller) return res.status(404).json({ message: 'Seller not found' });
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(404).json({ message: 'Order not found' });
+    }
+    const order = await Order.findOne({ _id: req.params.id, seller: seller._id });
+    if (!order) return res.status(404).json({ message: 'Order not found' });
+
+    if (action === 'ship') {
+      if (!trackingNumber) {
+        return res.status(400).json({ message: 'Tracking number is required to ship an order' });
+      }
+      order.trackingNumber = trackingNumber;
+      if (trackingUrl) order.trackingUrl = trackingUrl;
+      if (estimatedDelivery) order.estimatedDelivery = estimatedDelivery;
+    }
+
+    transitionOrder(order, status, {
+      actor: req.user._id,
+      role: 'seller',
+      note: note || (action === 'ship' ? `Tracking number ${trackingNumber}` : '')
+    });
+    if (status === 'delivered') {
+      await creditOrderEarnings(order);
+    }
+
+    await order.save();
+    res.json(order);
+  } catch (error) {
+    if (error.type === 'OrderTransitionError') {
+      return res.status(error.statusCode).json({ message: error.message });
+    }
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ message: error.message, errors: error.errors });
+    }
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
 };
 
 // Get seller stats (dashboard)
@@ -477,7 +614,6 @@ exports.getStats = async (req, res) => {
     const productIds = products.map(p => p._id);
 
     // Get all orders for this seller
-    const Order = require('../models/Order');
     const orders = await Order.find({ seller: seller._id });
 
     // Total sales (sum of totalPrice for delivered orders)
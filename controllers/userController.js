@@ -1,6 +1,8 @@
 const User = require('../models/User');
 const Product = require('../models/Product');
 const { asyncHandler } = require('../middleware/errorMiddleware');
+const { priceCart } = require('../utils/checkout');
+const { roundMoney } = require('../utils/format');
 
 // Get user's wishlist
 exports.getWishlist = asyncHandler(async (req, res) => {
@@ -108,12 +110,50 @@ exports.updateProfile = asyncHandler(async (req, res) => {
 });
 
 // Get user's cart
+// Each line carries its server price and automatic promotions; `summary` has the cart totals.
+// Items that can no longer be bought leave the cart unpriced with `pricingError` set.
 exports.getCart = asyncHandler(async (req, res) => {
   const user = await User.findById(req.user._id)
     .populate('cart.product')
     .populate('cart.seller', 'shopName')
     .populate('cart.sellerProduct');
-  res.json({ cart: user.cart });
+  if (user.cart.length === 0) {
+    return res.json({ cart: user.cart, summary: null });
+  }
+
+  let pricing;
+  try {
+    pricing = await priceCart(req.user._id);
+  } catch (error) {
+    if (error.type !== 'CheckoutError') throw error;
+    return res.json({ cart: user.cart, summary: null, pricingError: error.message });
+  }
+
+  // priceCart prices the saved cart in order, so lines match cart items by position
+  const cart = user.cart.map((item, index) => {
+    const line = pricing.lines[index];
+    return {
+      ...item.toObject(),
+      pricing: {
+        unitPrice: line.unitPrice,
+        lineTotal: line.lineTotal,
+        promotionDiscount: line.promotionDiscount,
+        total: roundMoney(line.lineTotal - line.promotionDiscount),
+        promotions: line.appliedPromotions
+      }
+    };
+  });
+  res.json({
+    cart,
+    summary: {
+      itemsPrice: pricing.itemsPrice,
+      promotionDiscount: pricing.promotionDiscount,
+      promotions: pricing.promotions,
+      shippingPrice: pricing.shippingPrice,
+      taxPrice: pricing.taxPrice,
+      total: pricing.total
+    }
+  });
 });
 
 // Add product to cart
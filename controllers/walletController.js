@@ -1,114 +1,119 @@
+const crypto = require('crypto');
 const mongoose = require('mongoose');
 const Wallet = require('../models/Wallet');
 const WithdrawalRequest = require('../models/WithdrawalRequest');
 const Order = require('../models/Order');
 const Seller = require('../models/Seller');
+const LedgerEntry = require('../models/LedgerEntry');
+const WebhookEvent = require('../models/WebhookEvent');
+const { claimWebhookEvent } = require('../utils/webhookEvents');
+const PayoutAccount = require('../models/PayoutAccount');
 const asyncHandler = require('express-async-handler');
-
-// Helper: recompute wallet from authoritative sources (orders + withdrawals)
-async function recomputeWalletForSeller(sellerId) {
-  // Compute desired state entirely in-memory, then persist with an atomic update
-  const existing = await Wallet.findOne({ seller: sellerId });
-
-  const deliveredOrders = await Order.find({ seller: sellerId, orderStatus: 'delivered' })
+const { getOrderEarnings } = require('../utils/earnings');
+const { isOrderPaid } = require('../utils/orderStateMachine');
+const { debitEarlierRefunds } = require('../utils/refunds');
+const {
+  refreshWallet,
+  getSellerLedger,
+  getEarningsSummary,
+  getPlatformEarnings,
+  recordOrderEarning,
+  recordRefundReversal,
+  recordWithdrawalRequested,
+  recordWithdrawalRejected,
+  recordWithdrawalPaid,
+  recordWithdrawalFailed
+} = require('../utils/ledger');
+const { getSettlementHoldDays, scheduleSettlement, releaseDueSettlements } = require('../utils/settlement');
+const { getPayoutProvider } = require('../utils/payoutProviders');
+const { isPayoutAutomated, initiatePayout, applyPayoutUpdate } = require('../utils/payouts');
+const { createWithdrawal } = require('../utils/withdrawals');
+const { getNextAutoPayoutAt } = require('../utils/autoPayouts');
+const { reconcileSeller, runReconciliation, recordAdjustment } = require('../utils/reconciliation');
+const ReconciliationReport = require('../models/ReconciliationReport');
+const { buildSellerStatement, renderStatementCsv, renderStatementPdf } = require('../utils/statements');
+
+// Helper: post any ledger entries missing for a seller's orders and withdrawals, dated when
+// they happened. Every entry is keyed by its event, so this is safe to run repeatedly.
+async function backfillSellerLedger(sellerId) {
+  // Delivered orders, plus credited orders that were refunded after delivery
+  const deliveredOrders = await Order.find({
+    seller: sellerId,
+    $or: [{ orderStatus: 'delivered' }, { isEarningsCredited: true }]
+  })
     .sort({ createdAt: 1 })
-    .select('totalPrice orderNumber commission sellerEarnings');
+    .select('seller orderItems totalPrice paymentStatus orderNumber commission sellerEarnings commissionSnapshot couponFunding promotions isEarningsCredited settlement refunds deliveredAt createdAt updatedAt');
 
   const withdrawals = await WithdrawalRequest.find({ seller: sellerId })
     .sort({ createdAt: 1 })
-    .select('amount status _id createdAt processedAt');
-
-  const transactions = [];
-  let runningBalance = 0;
-  let totalEarnings = 0;
-  let totalWithdrawn = 0;
-  let pendingWithdrawals = 0;
+    .select('seller amount status payout createdAt processedAt processedBy updatedAt');
 
-  // Credit earnings for delivered orders (unique per order)
+  let creditedCount = 0;
   for (const order of deliveredOrders) {
-    const commission = order.commission && order.commission > 0 ? order.commission : order.totalPrice * 0.10;
-    const sellerEarnings = order.sellerEarnings && order.sellerEarnings > 0 ? order.sellerEarnings : order.totalPrice - commission;
-    runningBalance += sellerEarnings;
-    totalEarnings += sellerEarnings;
-    transactions.push({
-      type: 'credit',
-      amount: sellerEarnings,
-      description: `Earnings from order ${order.orderNumber}`,
-      orderId: order._id,
-      withdrawalId: null,
-      balance: runningBalance,
-      status: 'completed'
-    });
+    // Never credit an order whose payment was not collected
+    if (!order.isEarningsCredited && !isOrderPaid(order)) continue;
+    const { commission, sellerEarnings } = await getOrderEarnings(order);
+    // Orders credited before settlement holds are held from their delivery date
+    const settlement = order.settlement?.status && order.settlement.status !== 'none'
+      ? undefined
+      : {
+        status: 'pending',
+        releaseAt: new Date((order.deliveredAt || order.updatedAt).getTime() + getSettlementHoldDays() * 24 * 60 * 60 * 1000)
+      };
+    if (!order.isEarningsCredited || order.commission !== commission || order.sellerEarnings !== sellerEarnings || settlement) {
+      await Order.updateOne(
+        { _id: order._id },
+        {
+          $set: {
+            commission,
+            sellerEarnings,
+            isEarningsCredited: true,
+            ...(order.commissionSnapshot && { commissionSnapshot: order.commissionSnapshot }),
+            ...(settlement && { settlement })
+          }
+        }
+      );
+      Object.assign(order, { commission, sellerEarnings, isEarningsCredited: true }, settlement && { settlement });
+    }
+    const { created } = await recordOrderEarning(order, { createdAt: order.deliveredAt || order.updatedAt });
+    if (created) creditedCount += 1;
+
+    // Refunds made before the earnings were credited had nothing to reverse at the time
+    const debited = await debitEarlierRefunds(order);
+    if (debited.length > 0) {
+      await Order.updateOne(
+        { _id: order._id },
+        { $set: Object.fromEntries(debited.map((refund, i) => [`refunds.$[r${i}].sellerDebit`, refund.sellerDebit])) },
+        { arrayFilters: debited.map((refund, i) => ({ [`r${i}._id`]: refund._id })) }
+      );
+    }
+
+    // Reverse the seller's share of any refunds on this order
+    for (const refund of order.refunds || []) {
+      if (!refund.sellerDebit) continue;
+      await recordRefundReversal(order, refund, { createdAt: refund.createdAt });
+    }
   }
 
-  // Apply withdrawals
   for (const wr of withdrawals) {
-    if (wr.status === 'pending' || wr.status === 'approved') {
-      runningBalance -= wr.amount;
-      pendingWithdrawals += wr.amount;
-      transactions.push({
-        type: 'debit',
-        amount: wr.amount,
-        description: 'Withdrawal request created',
-        orderId: null,
-        withdrawalId: wr._id,
-        balance: runningBalance,
-        status: 'pending'
-      });
-    } else if (wr.status === 'rejected') {
-      // Simulate initial pending debit then refund credit to make history coherent
-      runningBalance -= wr.amount;
-      transactions.push({
-        type: 'debit',
-        amount: wr.amount,
-        description: 'Withdrawal request created',
-        orderId: null,
-        withdrawalId: wr._id,
-        balance: runningBalance,
-        status: 'pending'
-      });
-      runningBalance += wr.amount;
-      transactions.push({
-        type: 'credit',
-        amount: wr.amount,
-        description: 'Withdrawal request rejected - amount refunded',
-        orderId: null,
-        withdrawalId: wr._id,
-        balance: runningBalance,
-        status: 'completed'
-      });
+    await recordWithdrawalRequested(wr, { createdAt: wr.createdAt });
+    if (wr.status === 'rejected') {
+      await recordWithdrawalRejected(wr, { createdAt: wr.processedAt || wr.createdAt });
     } else if (wr.status === 'processed') {
-      runningBalance -= wr.amount;
-      totalWithdrawn += wr.amount;
-      transactions.push({
-        type: 'debit',
-        amount: wr.amount,
-        description: 'Withdrawal processed',
-        orderId: null,
-        withdrawalId: wr._id,
-        balance: runningBalance,
-        status: 'completed'
-      });
+      await recordWithdrawalPaid(wr, { createdAt: wr.processedAt || wr.createdAt });
+    } else if (wr.status === 'failed') {
+      // Reversed payouts were paid first
+      const reversed = wr.payout?.status === 'reversed';
+      if (reversed) await recordWithdrawalPaid(wr, { createdAt: wr.processedAt || wr.createdAt });
+      await recordWithdrawalFailed(wr, { reversed, createdAt: wr.payout?.updatedAt || wr.updatedAt });
     }
   }
 
-  // Atomic upsert to avoid VersionError from concurrent requests
-  await Wallet.updateOne(
-    { seller: sellerId },
-    {
-      $set: {
-        seller: sellerId,
-        transactions,
-        balance: runningBalance,
-        totalEarnings,
-        totalWithdrawn,
-        pendingWithdrawals
-      }
-    },
-    { upsert: true, setDefaultsOnInsert: true }
-  );
+  // Release anything whose hold has already ended
+  await releaseDueSettlements({ sellerId });
 
-  return await Wallet.findOne({ seller: sellerId });
+  const wallet = await refreshWallet(sellerId);
+  return { wallet, creditedCount };
 }
 
 // @desc    Get seller wallet details
@@ -120,48 +125,28 @@ const getSellerWallet = asyncHandler(async (req, res) => {
     return res.status(401).json({ success: false, message: 'Seller identity not found' });
   }
 
-  // Always recompute on open to guarantee dynamic accuracy
-  await recomputeWalletForSeller(sellerId);
-  let wallet = await Wallet.findOne({ seller: sellerId })
-    .populate('seller', 'businessName email')
-    .populate('transactions.orderId', 'orderNumber totalPrice')
-    .populate('transactions.withdrawalId', 'amount status');
-
-  if (!wallet) {
-    wallet = await Wallet.create({
-      seller: sellerId,
-      balance: 0,
-      totalEarnings: 0,
-      totalWithdrawn: 0,
-      pendingWithdrawals: 0,
-      transactions: []
-    });
+  // Sellers from before the ledger get their history posted on first open
+  if (!(await LedgerEntry.exists({ seller: sellerId }))) {
+    await backfillSellerLedger(sellerId);
   }
 
-  // After recompute, reload for response
-  wallet = await Wallet.findOne({ seller: sellerId })
-    .populate('seller', 'businessName email')
-    .populate('transactions.orderId', 'orderNumber totalPrice')
-    .populate('transactions.withdrawalId', 'amount status');
-
-  // Re-load wallet to include any new transactions added during backfill
-  wallet = await Wallet.findOne({ seller: sellerId })
-    .populate('seller', 'businessName email')
-    .populate('transactions.orderId', 'orderNumber totalPrice')
-    .populate('transactions.withdrawalId', 'amount status');
-
-  const earningsSummary = wallet.getEarningsSummary();
+  await refreshWallet(sellerId);
+  const wallet = await Wallet.findOne({ seller: sellerId })
+    .populate('seller', 'businessName email');
+  const earningsSummary = await getEarningsSummary(sellerId);
+  const { transactions: recentTransactions } = await getSellerLedger(sellerId, { page: 1, limit: 10 });
 
   res.json({
     success: true,
     data: {
       wallet,
-      earningsSummary
+      earningsSummary,
+      recentTransactions
     }
   });
 });
 
-// Admin-only: resync wallet for a specific seller (backfill credits for delivered orders)
+// Admin-only: resync wallet for a specific seller (backfill ledger entries for delivered orders and withdrawals)
 const adminResyncSellerWallet = asyncHandler(async (req, res) => {
   const { sellerId } = req.params;
   const seller = await Seller.findById(sellerId);
@@ -169,42 +154,7 @@ const adminResyncSellerWallet = asyncHandler(async (req, res) => {
     return res.status(404).json({ success: false, message: 'Seller not found' });
   }
 
-  let wallet = await Wallet.findOne({ seller: sellerId });
-  if (!wallet) {
-    wallet = await Wallet.create({ seller: sellerId });
-  }
-
-  // Reuse same backfill logic as getSellerWallet
-  const deliveredOrders = await Order.find({ seller: sellerId, orderStatus: 'delivered' })
-    .select('totalPrice orderNumber commission sellerEarnings isEarningsCredited');
-
-  const creditedOrderIdSet = new Set(
-    (wallet.transactions || [])
-      .filter(t => t && t.type === 'credit' && t.orderId)
-      .map(t => String(t.orderId?._id || t.orderId))
-  );
-
-  let creditedCount = 0;
-  for (const order of deliveredOrders) {
-    const alreadyCredited = creditedOrderIdSet.has(String(order._id));
-    if (alreadyCredited) {
-      if (!order.isEarningsCredited) {
-        order.isEarningsCredited = true;
-        await order.save();
-      }
-      continue;
-    }
-    const commission = order.commission && order.commission > 0 ? order.commission : order.totalPrice * 0.10;
-    const sellerEarnings = order.sellerEarnings && order.sellerEarnings > 0 ? order.sellerEarnings : order.totalPrice - commission;
-    order.commission = commission;
-    order.sellerEarnings = sellerEarnings;
-    order.isEarningsCredited = true;
-    await order.save();
-    await wallet.addTransaction('credit', sellerEarnings, `Earnings from order ${order.orderNumber}`, order._id);
-    creditedCount += 1;
-  }
-
-  wallet = await Wallet.findOne({ seller: sellerId });
+  const { wallet, creditedCount } = await backfillSellerLedger(sellerId);
   return res.json({ success: true, message: 'Wallet resynced', creditedCount, wallet });
 });
 
@@ -216,29 +166,35 @@ const adminResyncOrderToWallet = asyncHandler(async (req, res) => {
   if (order.orderStatus !== 'delivered') {
     return res.status(400).json({ success: false, message: 'Order is not delivered' });
   }
-  let wallet = await Wallet.findOne({ seller: order.seller });
-  if (!wallet) wallet = await Wallet.create({ seller: order.seller });
-
-  const alreadyCredited = (wallet.transactions || []).some(
-    t => t && t.type === 'credit' && String(t.orderId?._id || t.orderId) === String(order._id)
-  );
-  if (alreadyCredited) {
-    if (!order.isEarningsCredited) {
-      order.isEarningsCredited = true;
-      await order.save();
-    }
-    return res.json({ success: true, message: 'Order already credited', wallet });
+  if (!order.isEarningsCredited && !isOrderPaid(order)) {
+    return res.status(400).json({ success: false, message: 'Order payment has not been received' });
   }
 
-  const commission = order.commission && order.commission > 0 ? order.commission : order.totalPrice * 0.10;
-  const sellerEarnings = order.sellerEarnings && order.sellerEarnings > 0 ? order.sellerEarnings : order.totalPrice - commission;
+  const { commission, sellerEarnings } = await getOrderEarnings(order);
   order.commission = commission;
   order.sellerEarnings = sellerEarnings;
+  const { created } = await recordOrderEarning(order, { createdAt: order.deliveredAt || order.updatedAt });
+  scheduleSettlement(order);
   order.isEarningsCredited = true;
-  await order.save();
-  await wallet.addTransaction('credit', sellerEarnings, `Earnings from order ${order.orderNumber}`, order._id);
-  wallet = await Wallet.findOne({ seller: order.seller });
-  return res.json({ success: true, message: 'Order credited to wallet', wallet });
+  await debitEarlierRefunds(order);
+  if (order.isModified()) {
+    await order.save();
+  }
+
+  const wallet = await Wallet.findOne({ seller: order.seller });
+  return res.json({
+    success: true,
+    message: created ? 'Order credited to wallet' : 'Order already credited',
+    wallet
+  });
+});
+
+// Parse page/limit and an optional from/to date range from the query string
+const parseLedgerQuery = (query, defaultLimit) => ({
+  page: Math.max(parseInt(query.page) || 1, 1),
+  limit: Math.min(Math.max(parseInt(query.limit) || defaultLimit, 1), 100),
+  from: query.from ? new Date(query.from) : undefined,
+  to: query.to ? new Date(query.to) : undefined
 });
 
 // @desc    Get transaction history
@@ -246,45 +202,54 @@ const adminResyncOrderToWallet = asyncHandler(async (req, res) => {
 // @access  Private (Seller)
 const getTransactionHistory = asyncHandler(async (req, res) => {
   const sellerId = req.user.sellerId;
-  const page = parseInt(req.query.page) || 1;
-  const limit = parseInt(req.query.limit) || 10;
-  
-  // Ensure wallet reflects current orders/withdrawals before serving history
-  await recomputeWalletForSeller(sellerId);
-  const wallet = await Wallet.findOne({ seller: sellerId });
-  
-  if (!wallet) {
-    res.status(404);
-    throw new Error('Wallet not found');
+  const options = parseLedgerQuery(req.query, 10);
+  if ((options.from && isNaN(options.from)) || (options.to && isNaN(options.to))) {
+    return res.status(400).json({ success: false, message: 'Invalid date range' });
   }
-  
-  const transactionHistory = wallet.getTransactionHistory(page, limit);
-  
-  // Populate order and withdrawal details
-  const populatedTransactions = await Promise.all(
-    transactionHistory.transactions.map(async (transaction) => {
-      const populated = transaction.toObject ? transaction.toObject() : { ...transaction };
-      
-      if (transaction.orderId) {
-        const order = await Order.findById(transaction.orderId).select('orderNumber totalPrice');
-        populated.order = order;
-      }
-      
-      if (transaction.withdrawalId) {
-        const withdrawal = await WithdrawalRequest.findById(transaction.withdrawalId).select('amount status');
-        populated.withdrawal = withdrawal;
-      }
-      
-      return populated;
-    })
-  );
-  
+
+  const transactionHistory = await getSellerLedger(sellerId, options);
+
   res.json({
     success: true,
-    data: {
-      ...transactionHistory,
-      transactions: populatedTransactions
-    }
+    data: transactionHistory
+  });
+});
+
+// @desc    Get a period statement as JSON, CSV or PDF (?format=csv|pdf)
+// @route   GET /api/wallet/statements
+// @access  Private (Seller)
+const getSellerStatement = asyncHandler(async (req, res) => {
+  const sellerId = req.user.sellerId;
+  const now = new Date();
+  // Defaults to the current month so far
+  const from = req.query.from ? new Date(req.query.from) : new Date(now.getFullYear(), now.getMonth(), 1);
+  const to = req.query.to ? new Date(req.query.to) : now;
+  if (isNaN(from) || isNaN(to) || from > to) {
+    return res.status(400).json({ success: false, message: 'Invalid date range' });
+  }
+  // A date-only `to` covers the whole day
+  if (req.query.to && /^\d{4}-\d{2}-\d{2}$/.test(req.query.to)) {
+    to.setUTCHours(23, 59, 59, 999);
+  }
+
+  const statement = await buildSellerStatement(sellerId, { from, to });
+  const filename = `statement-${from.toISOString().slice(0, 10)}-to-${to.toISOString().slice(0, 10)}`;
+
+  const format = String(req.query.format || 'json').toLowerCase();
+  if (format === 'csv') {
+    res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+    res.setHeader('Content-Disposition', `attachment; filename="${filename}.csv"`);
+    return res.send(renderStatementCsv(statement));
+  }
+  if (format === 'pdf') {
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader('Content-Disposition', `attachment; filename="${filename}.pdf"`);
+    return renderStatementPdf(statement, res);
+  }
+
+  res.json({
+    success: true,
+    data: statement
   });
 });
 
@@ -324,60 +289,65 @@ const getSellerWithdrawalRequests = asyncHandler(async (req, res) => {
 // @access  Private (Seller)
 const createWithdrawalRequest = asyncHandler(async (req, res) => {
   const sellerId = req.user.sellerId;
-  const { amount, bankDetails, paymentMethod } = req.body;
-  
-  if (amount < 100) {
-    res.status(400);
-    throw new Error('Minimum withdrawal amount is ₹100');
-  }
-  
-  // Check if seller has sufficient balance
-  const wallet = await Wallet.findOne({ seller: sellerId });
-  if (!wallet || wallet.balance < amount) {
-    res.status(400);
-    throw new Error('Insufficient balance');
-  }
-  
-  // Check if there are pending withdrawals
-  const pendingWithdrawals = await WithdrawalRequest.countDocuments({
-    seller: sellerId,
-    status: 'pending'
+  const { amount, payoutAccountId } = req.body;
+  const rawKey = req.body.idempotencyKey || req.get('Idempotency-Key');
+  const idempotencyKey = rawKey ? String(rawKey) : undefined;
+
+  const { withdrawal, isDuplicate } = await createWithdrawal(sellerId, { amount, payoutAccountId, idempotencyKey });
+
+  res.status(isDuplicate ? 200 : 201).json({
+    success: true,
+    message: isDuplicate ? 'Withdrawal request already created' : 'Withdrawal request created successfully',
+    data: withdrawal,
+    isDuplicate
   });
-  
-  if (pendingWithdrawals > 0) {
-    res.status(400);
-    throw new Error('You already have a pending withdrawal request');
-  }
-  
-  // Create withdrawal request
-  const withdrawalRequest = await WithdrawalRequest.create({
-    seller: sellerId,
-    amount,
-    bankDetails,
-    paymentMethod
+});
+
+// @desc    Get auto-payout settings
+// @route   GET /api/wallet/auto-payout
+// @access  Private (Seller)
+const getAutoPayoutSettings = asyncHandler(async (req, res) => {
+  const wallet = await refreshWallet(req.user.sellerId);
+  res.json({
+    success: true,
+    data: wallet.autoPayout
   });
-  
-  // Move funds from available balance to pending withdrawals
-  wallet.pendingWithdrawals += amount;
-  wallet.balance -= amount;
-  
-  // Push a pending debit transaction without influencing totalWithdrawn/totalEarnings
-  wallet.transactions.push({
-    type: 'debit',
-    amount,
-    description: 'Withdrawal request created',
-    orderId: null,
-    withdrawalId: withdrawalRequest._id,
-    balance: wallet.balance,
-    status: 'pending'
+});
+
+// @desc    Update auto-payout settings
+// @route   PUT /api/wallet/auto-payout
+// @access  Private (Seller)
+const updateAutoPayoutSettings = asyncHandler(async (req, res) => {
+  const sellerId = req.user.sellerId;
+  const wallet = await refreshWallet(sellerId);
+  const fields = ['enabled', 'frequency', 'dayOfWeek', 'dayOfMonth', 'minimumAmount', 'payoutAccount'];
+  fields.forEach(field => {
+    if (req.body[field] !== undefined) wallet.set(`autoPayout.${field}`, req.body[field]);
   });
 
+  if (wallet.autoPayout.enabled) {
+    // Paid to a chosen verified account, or the default one at the time of each run
+    const account = wallet.autoPayout.payoutAccount
+      ? await PayoutAccount.findOne({ _id: wallet.autoPayout.payoutAccount, seller: sellerId })
+      : await PayoutAccount.findOne({ seller: sellerId, isDefault: true });
+    if (!account) {
+      res.status(400);
+      throw new Error('Add a payout account before enabling auto-payout');
+    }
+    if (account.verificationStatus !== 'verified') {
+      res.status(400);
+      throw new Error('Payout account has not been verified yet');
+    }
+    wallet.set('autoPayout.nextRunAt', getNextAutoPayoutAt(wallet.autoPayout));
+  } else {
+    wallet.set('autoPayout.nextRunAt', undefined);
+  }
   await wallet.save();
-  
-  res.status(201).json({
+
+  res.json({
     success: true,
-    message: 'Withdrawal request created successfully',
-    data: withdrawalRequest
+    message: wallet.autoPayout.enabled ? 'Auto-payout scheduled' : 'Auto-payout turned off',
+    data: wallet.autoPayout
   });
 });
 
@@ -391,6 +361,7 @@ const getWithdrawalRequests = asyncHandler(async (req, res) => {
   
   const filter = {};
   if (status) filter.status = status;
+  if (req.query.source) filter.source = req.query.source;
   
   const skip = (page - 1) * limit;
   
@@ -416,6 +387,21 @@ const getWithdrawalRequests = asyncHandler(async (req, res) => {
   });
 });
 
+// Move a pending withdrawal on in one write, so two admins acting at once cannot both approve or
+// reject it. Responds 404 for an unknown request and 409 once it has left pending.
+const claimPendingWithdrawal = async (id, res, update) => {
+  const withdrawal = await WithdrawalRequest.findOneAndUpdate(
+    { _id: id, status: 'pending' },
+    { $set: update },
+    { new: true, runValidators: true }
+  );
+  if (withdrawal) return withdrawal;
+
+  const exists = await WithdrawalRequest.exists({ _id: id });
+  res.status(exists ? 409 : 404);
+  throw new Error(exists ? 'Withdrawal request is not pending' : 'Withdrawal request not found');
+};
+
 // @desc    Approve withdrawal request (Admin)
 // @route   PUT /api/admin/wallet/withdrawals/:id/approve
 // @access  Private (Admin)
@@ -424,22 +410,29 @@ const approveWithdrawal = asyncHandler(async (req, res) => {
   const { notes } = req.body;
   const adminId = req.user.id;
   
-  const withdrawal = await WithdrawalRequest.findById(id);
-  if (!withdrawal) {
-    res.status(404);
-    throw new Error('Withdrawal request not found');
-  }
-  
-  if (withdrawal.status !== 'pending') {
-    res.status(400);
-    throw new Error('Withdrawal request is not pending');
+  const withdrawal = await claimPendingWithdrawal(id, res, {
+    status: 'approved',
+    adminNotes: notes || '',
+    processedBy: adminId,
+    processedAt: new Date()
+  });
+
+  // With a payout provider configured, approval also sends the money
+  if (isPayoutAutomated()) {
+    try {
+      await initiatePayout(withdrawal);
+    } catch (error) {
+      res.status(error.statusCode || 502);
+      error.message = `Withdrawal approved but the payout could not be started: ${error.message}`;
+      throw error;
+    }
   }
   
-  await withdrawal.approve(adminId, notes);
-  
   res.json({
     success: true,
-    message: 'Withdrawal request approved successfully',
+    message: withdrawal.payout?.payoutId
+      ? 'Withdrawal request approved and payout initiated'
+      : 'Withdrawal request approved successfully',
     data: withdrawal
   });
 });
@@ -452,37 +445,15 @@ const rejectWithdrawal = asyncHandler(async (req, res) => {
   const { reason } = req.body;
   const adminId = req.user.id;
   
-  const withdrawal = await WithdrawalRequest.findById(id);
-  if (!withdrawal) {
-    res.status(404);
-    throw new Error('Withdrawal request not found');
-  }
-  
-  if (withdrawal.status !== 'pending') {
-    res.status(400);
-    throw new Error('Withdrawal request is not pending');
-  }
-  
-  await withdrawal.reject(adminId, reason);
+  const withdrawal = await claimPendingWithdrawal(id, res, {
+    status: 'rejected',
+    rejectionReason: reason,
+    processedBy: adminId,
+    processedAt: new Date()
+  });
 
   // Refund the amount back to seller's wallet (do not count as earnings)
-  const wallet = await Wallet.findOne({ seller: withdrawal.seller });
-  if (wallet) {
-    wallet.pendingWithdrawals -= withdrawal.amount;
-    wallet.balance += withdrawal.amount;
-
-    wallet.transactions.push({
-      type: 'credit',
-      amount: withdrawal.amount,
-      description: 'Withdrawal request rejected - amount refunded',
-      orderId: null,
-      withdrawalId: withdrawal._id,
-      balance: wallet.balance,
-      status: 'completed'
-    });
-
-    await wallet.save();
-  }
+  await recordWithdrawalRejected(withdrawal);
   
   res.json({
     success: true,
@@ -509,42 +480,178 @@ const processWithdrawal = asyncHandler(async (req, res) => {
     res.status(400);
     throw new Error('Withdrawal request must be approved first');
   }
+
+  if (withdrawal.payout?.payoutId) {
+    res.status(400);
+    throw new Error('This withdrawal is being paid out automatically');
+  }
   
   await withdrawal.markAsProcessed(adminId, transactionId);
 
-  const wallet = await Wallet.findOne({ seller: withdrawal.seller });
-  if (wallet) {
-    // Reduce pending and increase total withdrawn
-    wallet.pendingWithdrawals -= withdrawal.amount;
-    wallet.totalWithdrawn += withdrawal.amount;
-
-    // Mark the related pending debit transaction as completed if found
-    const tx = wallet.transactions
-      .slice() // copy
-      .reverse()
-      .find(t => String(t.withdrawalId) === String(withdrawal._id) && t.type === 'debit' && t.status === 'pending');
-    if (tx) {
-      tx.status = 'completed';
+  // Money leaves withdrawals in transit as a payout
+  await recordWithdrawalPaid(withdrawal);
+  
+  res.json({
+    success: true,
+    message: 'Withdrawal marked as processed successfully',
+    data: withdrawal
+  });
+});
+
+// @desc    Start (or retry starting) the automated payout of an approved withdrawal (Admin)
+// @route   POST /api/wallet/admin/withdrawals/:id/payout
+// @access  Private (Admin)
+const initiateWithdrawalPayout = asyncHandler(async (req, res) => {
+  const withdrawal = await WithdrawalRequest.findById(req.params.id);
+  if (!withdrawal) {
+    res.status(404);
+    throw new Error('Withdrawal request not found');
+  }
+
+  try {
+    await initiatePayout(withdrawal);
+  } catch (error) {
+    res.status(error.statusCode || 502);
+    throw error;
+  }
+
+  res.json({
+    success: true,
+    message: 'Payout initiated',
+    data: withdrawal
+  });
+});
+
+// @desc    Payout status webhook from the payout provider
+// @route   POST /api/wallet/payouts/webhook
+// @access  Public (authenticated by signature)
+const handlePayoutWebhook = asyncHandler(async (req, res) => {
+  let provider;
+  let isValid;
+  try {
+    provider = getPayoutProvider();
+    isValid = provider && provider.verifyWebhookSignature(req.rawBody, req.headers['x-razorpay-signature']);
+  } catch (error) {
+    console.error('Payout webhook misconfigured:', error.message);
+    return res.status(500).json({ success: false, message: 'Webhook not configured' });
+  }
+  if (!provider) {
+    return res.status(404).json({ success: false, message: 'Automated payouts are not configured' });
+  }
+  if (!isValid) {
+    return res.status(400).json({ success: false, message: 'Invalid webhook signature' });
+  }
+
+  const update = provider.parseWebhook(req.body);
+  if (!update.event) {
+    return res.status(400).json({ success: false, message: 'Missing webhook event' });
+  }
+
+  const eventId = req.headers['x-razorpay-event-id'] ||
+    crypto.createHash('sha256').update(req.rawBody).digest('hex');
+  const record = await claimWebhookEvent({ provider: provider.name, eventId, event: update.event, entityId: update.payoutId });
+  if (!record) {
+    return res.status(200).json({ received: true, duplicate: true });
+  }
+
+  try {
+    const withdrawal = update.payoutId && (
+      await WithdrawalRequest.findOne({ 'payout.payoutId': update.payoutId }) ||
+      (mongoose.Types.ObjectId.isValid(String(update.withdrawalId)) && await WithdrawalRequest.findById(update.withdrawalId))
+    );
+    if (withdrawal && update.event.startsWith('payout.')) {
+      if (!withdrawal.payout?.payoutId) withdrawal.set('payout.payoutId', update.payoutId);
+      await applyPayoutUpdate(withdrawal, update);
+      record.status = 'processed';
     } else {
-      // Fallback: record a new completed debit transaction
-      wallet.transactions.push({
-        type: 'debit',
-        amount: withdrawal.amount,
-        description: 'Withdrawal processed',
-        orderId: null,
-        withdrawalId: withdrawal._id,
-        balance: wallet.balance, // balance does not change on processing
-        status: 'completed'
-      });
+      record.status = 'ignored';
     }
+    record.processedAt = new Date();
+    await record.save();
+  } catch (error) {
+    // Forget the event so the provider's retry gets processed
+    await WebhookEvent.deleteOne({ _id: record._id });
+    console.error(`Payout webhook ${update.event} failed:`, error);
+    return res.status(500).json({ success: false, message: 'Failed to process webhook' });
+  }
 
-    await wallet.save();
+  res.status(200).json({ received: true });
+});
+
+// @desc    Run wallet reconciliation for all sellers and store the report (Admin)
+// @route   POST /api/wallet/admin/reconciliation
+// @access  Private (Admin)
+const runWalletReconciliation = asyncHandler(async (req, res) => {
+  const report = await runReconciliation({ triggeredBy: req.user.id });
+  await report.populate('sellers.seller', 'businessName email');
+
+  res.status(201).json({
+    success: true,
+    data: report
+  });
+});
+
+// @desc    Get the latest reconciliation report (Admin)
+// @route   GET /api/wallet/admin/reconciliation/latest
+// @access  Private (Admin)
+const getLatestReconciliation = asyncHandler(async (req, res) => {
+  const report = await ReconciliationReport.findOne()
+    .sort({ createdAt: -1 })
+    .populate('sellers.seller', 'businessName email');
+  if (!report) {
+    res.status(404);
+    throw new Error('No reconciliation has been run yet');
   }
-  
+
   res.json({
     success: true,
-    message: 'Withdrawal marked as processed successfully',
-    data: withdrawal
+    data: report
+  });
+});
+
+// @desc    Reconcile one seller's wallet now, without storing a report (Admin)
+// @route   GET /api/wallet/admin/reconciliation/seller/:sellerId
+// @access  Private (Admin)
+const getSellerReconciliation = asyncHandler(async (req, res) => {
+  const seller = await Seller.findById(req.params.sellerId).select('businessName email');
+  if (!seller) {
+    res.status(404);
+    throw new Error('Seller not found');
+  }
+
+  const result = await reconcileSeller(seller._id);
+  res.json({
+    success: true,
+    data: { ...result, seller }
+  });
+});
+
+// @desc    Post an audited correcting entry to a seller's available balance (Admin)
+// @route   POST /api/wallet/admin/seller/:sellerId/adjustments
+// @access  Private (Admin)
+const createWalletAdjustment = asyncHandler(async (req, res) => {
+  const { sellerId } = req.params;
+  const { amount, reason, orderId, withdrawalId, idempotencyKey } = req.body;
+  if (!(await Seller.exists({ _id: sellerId }))) {
+    res.status(404);
+    throw new Error('Seller not found');
+  }
+
+  const { entry, created } = await recordAdjustment({
+    sellerId,
+    amount,
+    reason,
+    createdBy: req.user.id,
+    orderId,
+    withdrawalId,
+    idempotencyKey
+  });
+  const wallet = await Wallet.findOne({ seller: sellerId });
+
+  res.status(created ? 201 : 200).json({
+    success: true,
+    message: created ? 'Adjustment posted' : 'Adjustment already posted',
+    data: { entry, wallet }
   });
 });
 
@@ -557,6 +664,7 @@ const getAdminWalletOverview = asyncHandler(async (req, res) => {
   const pendingWithdrawals = await WithdrawalRequest.countDocuments({ status: 'pending' });
   const approvedWithdrawals = await WithdrawalRequest.countDocuments({ status: 'approved' });
   const processedWithdrawals = await WithdrawalRequest.countDocuments({ status: 'processed' });
+  const failedWithdrawals = await WithdrawalRequest.countDocuments({ status: 'failed' });
   
   // Calculate total amounts
   const totalWithdrawalAmount = await WithdrawalRequest.aggregate([
@@ -586,32 +694,13 @@ const getAdminWalletOverview = asyncHandler(async (req, res) => {
       pendingWithdrawals,
       approvedWithdrawals,
       processedWithdrawals,
+      failedWithdrawals,
       totalWithdrawalAmount: totalWithdrawalAmount[0]?.total || 0,
       pendingAmount: pendingAmount[0]?.total || 0,
       approvedAmount: approvedAmount[0]?.total || 0,
       processedAmount: processedAmount[0]?.total || 0,
       // Platform earnings (commission sum) + charts
-      ...(await (async () => {
-        const ordersCommission = await Order.aggregate([
-          { $match: { orderStatus: 'delivered' } },
-          { $group: { _id: null, totalCommission: { $sum: { $ifNull: ['$commission', { $multiply: ['$totalPrice', 0.10] }] } }, totalSales: { $sum: '$totalPrice' } } }
-        ]);
-        const platformEarnings = ordersCommission[0]?.totalCommission || 0;
-        const grossSales = ordersCommission[0]?.totalSales || 0;
-
-        // Monthly platform earnings (last 6 months)
-        const monthly = await Order.aggregate([
-          { $match: { orderStatus: 'delivered' } },
-          { $group: { 
-            _id: { y: { $year: '$createdAt' }, m: { $month: '$createdAt' } },
-            commission: { $sum: { $ifNull: ['$commission', { $multiply: ['$totalPrice', 0.10] }] } },
-            sales: { $sum: '$totalPrice' }
-          } },
-          { $sort: { '_id.y': 1, '_id.m': 1 } },
-          { $limit: 12 }
-        ]);
-        return { platformEarnings, grossSales, monthly };
-      })())
+      ...(await getPlatformEarnings())
     }
   });
 });
@@ -651,9 +740,7 @@ const getSellerEarningsReport = asyncHandler(async (req, res) => {
 // @access  Private (Admin)
 const getSellerTransactions = asyncHandler(async (req, res) => {
   const { sellerId } = req.params;
-  const page = parseInt(req.query.page) || 1;
-  const limit = parseInt(req.query.limit) || 20;
-  const skip = (page - 1) * limit;
+  const { page, limit } = parseLedgerQuery(req.query, 20);
   
   const wallet = await Wallet.findOne({ seller: sellerId })
     .populate('seller', 'businessName email phone isApproved');
@@ -666,9 +753,7 @@ const getSellerTransactions = asyncHandler(async (req, res) => {
   }
   
   // Get transactions with pagination
-  const transactions = wallet.transactions
-    .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt))
-    .slice(skip, skip + limit);
+  const { transactions, total, totalPages } = await getSellerLedger(sellerId, { page, limit });
   
   res.json({
     success: true,
@@ -684,8 +769,8 @@ const getSellerTransactions = asyncHandler(async (req, res) => {
       pagination: {
         page,
         limit,
-        total: wallet.transactions.length,
-        totalPages: Math.ceil(wallet.transactions.length / limit)
+        total,
+        totalPages
       }
     }
   });
@@ -694,17 +779,26 @@ const getSellerTransactions = asyncHandler(async (req, res) => {
 module.exports = {
   getSellerWallet,
   getTransactionHistory,
+  getSellerStatement,
   createWithdrawalRequest,
+  getAutoPayoutSettings,
+  updateAutoPayoutSettings,
   getWithdrawalRequests,
   approveWithdrawal,
   rejectWithdrawal,
   processWithdrawal,
+  initiateWithdrawalPayout,
+  handlePayoutWebhook,
+  runWalletReconciliation,
+  getLatestReconciliation,
+  getSellerReconciliation,
+  createWalletAdjustment,
   getAdminWalletOverview,
   getSellerEarningsReport,
   getSellerTransactions,
   adminResyncSellerWallet,
   adminResyncOrderToWallet,
   // expose for maintenance route
-  __unsafeInternalRecompute: recomputeWalletForSeller,
+  __unsafeInternalRecompute: async (sellerId) => (await backfillSellerLedger(sellerId)).wallet,
   getSellerWithdrawalRequests
 };
@@ -0,0 +1,63 @@
+const mongoose = require('mongoose');
+const Order = require('../models/Order');
+
+// What each relationship to an order allows. Relationship, not User.role, decides:
+// a seller buying from another shop is that order's customer.
+const ORDER_PERMISSIONS = {
+  admin: ['read', 'cancel', 'updateStatus', 'refund'],
+  seller: ['read', 'cancel', 'updateStatus', 'refund'],
+  customer: ['read', 'cancel']
+};
+
+// Shipping statuses after which a customer can no longer cancel
+const SHIPPED_STATUSES = ['shipped', 'delivered'];
+
+// The user's relationship to an order: 'admin', 'seller' (owns it), 'customer' (placed it) or null
+const getOrderRole = (user, order) => {
+  if (user.role === 'admin') return 'admin';
+  if (user.sellerId && String(order.seller) === String(user.sellerId)) return 'seller';
+  if (String(order.user?._id || order.user) === String(user._id)) return 'customer';
+  return null;
+};
+
+const deny = (req, res, message) => res.status(403).json({ message, route: req.originalUrl || req.url });
+
+/**
+ * Load the order in req.params.id and check the current user may perform `action` on it.
+ * Sets req.order and req.orderRole (use the latter as the role for order transitions).
+ * Must run after protect.
+ * @param {'read'|'cancel'|'updateStatus'|'refund'} action
+ */
+const authorizeOrder = (action) => async (req, res, next) => {
+  try {
+    const order = mongoose.Types.ObjectId.isValid(req.params.id)
+      ? await Order.findById(req.params.id)
+      : null;
+    if (!order) {
+      return res.status(404).json({ message: 'Order not found', route: req.originalUrl || req.url });
+    }
+
+    const orderRole = getOrderRole(req.user, order);
+    if (!orderRole) {
+      return deny(req, res, 'You do not have access to this order');
+    }
+    if (!ORDER_PERMISSIONS[orderRole].includes(action)) {
+      return deny(req, res, `You are not allowed to ${action === 'updateStatus' ? 'update the status of' : action} this order`);
+    }
+    if (orderRole === 'customer' && action === 'cancel'
+      && (SHIPPED_STATUSES.includes(order.shippingStatus) || SHIPPED_STATUSES.includes(order.orderStatus))) {
+      return deny(req, res, 'Orders can only be cancelled before they are shipped');
+    }
+
+    req.order = order;
+    req.orderRole = orderRole;
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  authorizeOrder,
+  getOrderRole
+};
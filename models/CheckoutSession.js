@@ -0,0 +1,158 @@
+const mongoose = require('mongoose');
+
+const checkoutLineSchema = new mongoose.Schema({
+  seller: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Seller',
+    required: true
+  },
+  sellerProduct: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'SellerProduct',
+    required: true
+  },
+  product: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product',
+    required: true
+  },
+  name: String,
+  image: String,
+  sku: String,
+  unitPrice: {
+    type: Number,
+    required: true
+  },
+  quantity: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+  lineTotal: {
+    type: Number,
+    required: true
+  },
+  promotionDiscount: {
+    type: Number,
+    default: 0
+  },
+  couponDiscount: {
+    type: Number,
+    default: 0
+  },
+  selectedVariants: {
+    size: String,
+    color: String
+  }
+}, { _id: false });
+
+// Per-seller breakdown; each entry becomes one Order
+const sellerSummarySchema = new mongoose.Schema({
+  seller: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Seller',
+    required: true
+  },
+  itemsPrice: Number,
+  discount: Number, // promotions and coupon together
+  promotionDiscount: Number,
+  couponDiscount: Number,
+  shippingDiscount: Number, // shipping waived by a free-shipping coupon
+  shippingPrice: Number,
+  taxPrice: Number,
+  totalPrice: Number
+}, { _id: false });
+
+// Automatic promotion applied to one seller's items
+const appliedPromotionSchema = new mongoose.Schema({
+  promotion: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Promotion'
+  },
+  name: String,
+  type: { type: String },
+  ownerType: String,
+  funding: String,
+  platformSharePercent: Number,
+  seller: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Seller'
+  },
+  discount: Number
+}, { _id: false });
+
+// Server-priced, short-lived checkout quote. Orders and the Razorpay amount are derived from it.
+const checkoutSessionSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  lines: [checkoutLineSchema],
+  sellers: [sellerSummarySchema],
+  coupon: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Coupon'
+  },
+  couponCode: String,
+  promotions: [appliedPromotionSchema],
+  itemsPrice: {
+    type: Number,
+    required: true
+  },
+  discount: {
+    type: Number,
+    default: 0
+  },
+  promotionDiscount: {
+    type: Number,
+    default: 0
+  },
+  couponDiscount: {
+    type: Number,
+    default: 0
+  },
+  shippingDiscount: {
+    type: Number,
+    default: 0
+  },
+  shippingPrice: {
+    type: Number,
+    default: 0
+  },
+  taxPrice: {
+    type: Number,
+    default: 0
+  },
+  total: {
+    type: Number,
+    required: true
+  },
+  currency: {
+    type: String,
+    default: 'INR'
+  },
+  signature: {
+    type: String,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['open', 'consumed'],
+    default: 'open'
+  },
+  razorpayOrderId: String,
+  stripePaymentIntentId: String,
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+checkoutSessionSchema.index({ user: 1 });
+// Let MongoDB drop quotes shortly after they expire
+checkoutSessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 24 * 60 * 60 });
+
+module.exports = mongoose.model('CheckoutSession', checkoutSessionSchema);
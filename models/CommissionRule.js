@@ -0,0 +1,81 @@
+const mongoose = require('mongoose');
+
+// Admin-managed commission rule. The most specific rule in effect wins:
+// seller > category (deepest first) > seller plan > default. See utils/commission.js.
+const commissionRuleSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Please provide a rule name'],
+    trim: true
+  },
+  scope: {
+    type: String,
+    enum: ['default', 'plan', 'category', 'seller'],
+    required: true
+  },
+  category: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Category'
+  },
+  seller: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Seller'
+  },
+  plan: {
+    type: String,
+    trim: true,
+    lowercase: true
+  },
+  // Percentage of the line's paid amount
+  percentage: {
+    type: Number,
+    default: 0,
+    min: 0,
+    max: 100
+  },
+  // Flat fee per order line, on top of the percentage
+  fixedFee: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  effectiveFrom: {
+    type: Date,
+    default: Date.now
+  },
+  effectiveTo: Date, // open-ended when not set
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  notes: String,
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+commissionRuleSchema.index({ scope: 1, isActive: 1, effectiveFrom: -1 });
+commissionRuleSchema.index({ seller: 1 }, { sparse: true });
+commissionRuleSchema.index({ category: 1 }, { sparse: true });
+
+// Each scope needs exactly its own target
+commissionRuleSchema.pre('validate', function(next) {
+  const targets = { category: this.category, seller: this.seller, plan: this.plan };
+  if (this.scope !== 'default' && !targets[this.scope]) {
+    return next(new Error(`A ${this.scope} rule needs a ${this.scope}`));
+  }
+  for (const [field, value] of Object.entries(targets)) {
+    if (field !== this.scope && value) {
+      this[field] = undefined;
+    }
+  }
+  if (this.effectiveTo && this.effectiveFrom && this.effectiveTo <= this.effectiveFrom) {
+    return next(new Error('effectiveTo must be after effectiveFrom'));
+  }
+  next();
+});
+
+module.exports = mongoose.model('CommissionRule', commissionRuleSchema);
@@ -0,0 +1,18 @@
+const mongoose = require('mongoose');
+
+// Atomic counters behind utils/sequence.js. One document per sequence and period,
+// e.g. _id 'order:261019' for today's order numbers.
+const counterSchema = new mongoose.Schema({
+  _id: {
+    type: String,
+    required: true
+  },
+  seq: {
+    type: Number,
+    default: 0
+  }
+}, {
+  timestamps: true
+});
+
+module.exports = mongoose.model('Counter', counterSchema);
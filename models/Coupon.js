@@ -1,5 +1,8 @@
 const mongoose = require('mongoose');
 
+// Discount coupon. Platform coupons are created by admins and can be scoped to categories,
+// products or sellers; seller coupons only ever apply to that seller's items.
+// Evaluated against a cart in utils/coupons.js.
 const couponSchema = new mongoose.Schema({
   code: {
     type: String,
@@ -8,32 +11,126 @@ const couponSchema = new mongoose.Schema({
     trim: true,
     uppercase: true
   },
+  description: String,
+  ownerType: {
+    type: String,
+    enum: ['platform', 'seller'],
+    default: 'seller'
+  },
+  // Owning seller for seller coupons
+  vendor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Seller'
+  },
+  // Who pays for the discount: the platform (sellers are reimbursed in settlement), the
+  // seller whose items are discounted, or a split with platformSharePercent paid by the platform.
+  // Defaults to the coupon's owner.
+  funding: {
+    type: String,
+    enum: ['platform', 'vendor', 'split']
+  },
+  platformSharePercent: {
+    type: Number,
+    min: 0,
+    max: 100
+  },
+  type: {
+    type: String,
+    enum: ['percentage', 'flat', 'free_shipping', 'buy_x_get_y'],
+    default: 'flat'
+  },
+  // Percentage off for 'percentage', amount off for 'flat'
   discount: {
     type: Number,
-    required: true,
+    min: 0
+  },
+  // Upper limit of a percentage discount
+  maxDiscount: {
+    type: Number,
+    min: 0
+  },
+  // Buy X get Y: for every buyQuantity + getQuantity eligible units, the cheapest
+  // getQuantity units are getDiscountPercent off
+  buyQuantity: {
+    type: Number,
     min: 1
   },
-  vendor: {
-    type: mongoose.Schema.Types.ObjectId,
-    ref: 'Seller',
-    required: true
+  getQuantity: {
+    type: Number,
+    min: 1
+  },
+  getDiscountPercent: {
+    type: Number,
+    min: 1,
+    max: 100,
+    default: 100
   },
+  // Eligible items must add up to at least this
+  minOrderValue: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  // Restrict to these; empty means no restriction
+  categories: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Category'
+  }],
+  products: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product'
+  }],
+  sellers: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Seller'
+  }],
+  startsAt: Date,
   expiry: {
     type: Date,
     required: true
   },
+  // Total redemptions across all users; 0 means unlimited
   usageLimit: {
     type: Number,
-    default: 1
+    default: 1,
+    min: 0
+  },
+  // Redemptions per user; 0 means unlimited
+  perUserLimit: {
+    type: Number,
+    default: 1,
+    min: 0
   },
+  usedCount: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  // One entry per redemption
   usedBy: [{
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User'
   }],
+  // Compared with the priority of automatic promotions that do not stack with coupons and discount
+  // the same lines: a promotion with a higher priority keeps the coupon from being used, otherwise
+  // the coupon wins. Set by admins only.
+  priority: {
+    type: Number,
+    default: 0
+  },
   isActive: {
     type: Boolean,
     default: true
   },
+  // Set on codes generated for a campaign; a paused campaign pauses all of them
+  campaign: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'CouponCampaign'
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
   createdAt: {
     type: Date,
     default: Date.now
@@ -41,5 +138,36 @@ const couponSchema = new mongoose.Schema({
 });
 
 couponSchema.index({ code: 1 }, { unique: true });
+couponSchema.index({ ownerType: 1, vendor: 1, isActive: 1 });
+couponSchema.index({ campaign: 1 }, { sparse: true });
+
+// Each type needs its own settings
+couponSchema.pre('validate', function(next) {
+  if (this.ownerType === 'seller' && !this.vendor) {
+    return next(new Error('A seller coupon needs a vendor'));
+  }
+  if (this.ownerType === 'platform') {
+    this.vendor = undefined;
+  }
+  if (!this.funding) {
+    this.funding = this.ownerType === 'platform' ? 'platform' : 'vendor';
+  }
+  if (this.funding === 'split' && !(this.platformSharePercent > 0 && this.platformSharePercent < 100)) {
+    return next(new Error('A split-funded coupon needs a platformSharePercent between 1 and 99'));
+  }
+  if (this.type === 'percentage' && !(this.discount > 0 && this.discount <= 100)) {
+    return next(new Error('A percentage coupon needs a discount between 1 and 100'));
+  }
+  if (this.type === 'flat' && !(this.discount > 0)) {
+    return next(new Error('A flat coupon needs a discount amount'));
+  }
+  if (this.type === 'buy_x_get_y' && !(this.buyQuantity >= 1 && this.getQuantity >= 1)) {
+    return next(new Error('A buy X get Y coupon needs buyQuantity and getQuantity'));
+  }
+  if (this.startsAt && this.expiry && this.startsAt >= this.expiry) {
+    return next(new Error('expiry must be after startsAt'));
+  }
+  next();
+});
 
-module.exports = mongoose.model('Coupon', couponSchema); 
\ No newline at end of file
+module.exports = mongoose.model('Coupon', couponSchema);
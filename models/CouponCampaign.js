@@ -0,0 +1,92 @@
+const mongoose = require('mongoose');
+
+// A batch of single-use coupon codes generated from one set of rules (see utils/couponCampaigns.js).
+// Pausing the campaign stops all of its codes from being applied without touching them.
+const couponCampaignSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  description: String,
+  ownerType: {
+    type: String,
+    enum: ['platform', 'seller'],
+    default: 'seller'
+  },
+  vendor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Seller'
+  },
+  // Codes look like PREFIX-XXXXXXXX
+  codePrefix: {
+    type: String,
+    required: true,
+    trim: true,
+    uppercase: true,
+    match: [/^[A-Z0-9]{2,12}$/, 'codePrefix must be 2-12 letters or digits']
+  },
+  codesIssued: {
+    type: Number,
+    default: 0
+  },
+  status: {
+    type: String,
+    enum: ['active', 'paused'],
+    default: 'active'
+  },
+  pausedAt: Date,
+  // Rules copied onto every generated code; same meaning as on Coupon
+  rules: {
+    type: {
+      type: String,
+      enum: ['percentage', 'flat', 'free_shipping', 'buy_x_get_y'],
+      default: 'flat'
+    },
+    discount: Number,
+    maxDiscount: Number,
+    buyQuantity: Number,
+    getQuantity: Number,
+    getDiscountPercent: Number,
+    minOrderValue: Number,
+    categories: [{
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Category'
+    }],
+    products: [{
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Product'
+    }],
+    sellers: [{
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Seller'
+    }],
+    funding: {
+      type: String,
+      enum: ['platform', 'vendor', 'split']
+    },
+    platformSharePercent: Number,
+    startsAt: Date,
+    expiry: {
+      type: Date,
+      required: true
+    }
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+couponCampaignSchema.index({ ownerType: 1, vendor: 1, createdAt: -1 });
+
+couponCampaignSchema.pre('validate', function(next) {
+  if (this.ownerType === 'seller' && !this.vendor) {
+    return next(new Error('A seller campaign needs a vendor'));
+  }
+  next();
+});
+
+module.exports = mongoose.model('CouponCampaign', couponCampaignSchema);
@@ -0,0 +1,65 @@
+const mongoose = require('mongoose');
+
+// One use of a coupon, recorded with the order group it was placed in.
+// Released (and the coupon's usage given back) if the orders are cancelled before payment.
+const couponRedemptionSchema = new mongoose.Schema({
+  coupon: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Coupon',
+    required: true
+  },
+  couponCode: String,
+  campaign: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'CouponCampaign'
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  orderGroup: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'OrderGroup',
+    required: true
+  },
+  orders: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order'
+  }],
+  checkoutSession: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'CheckoutSession'
+  },
+  // Discount on items plus shipping waived by the coupon
+  amount: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  shippingDiscount: {
+    type: Number,
+    default: 0
+  },
+  // What the customer paid for the checkout, for campaign revenue
+  orderTotal: {
+    type: Number,
+    default: 0
+  },
+  status: {
+    type: String,
+    enum: ['redeemed', 'released'],
+    default: 'redeemed'
+  },
+  releasedAt: Date,
+  releaseReason: String
+}, {
+  timestamps: true
+});
+
+couponRedemptionSchema.index({ orderGroup: 1 }, { unique: true });
+couponRedemptionSchema.index({ coupon: 1, status: 1 });
+couponRedemptionSchema.index({ campaign: 1, status: 1 }, { sparse: true });
+couponRedemptionSchema.index({ user: 1, createdAt: -1 });
+
+module.exports = mongoose.model('CouponRedemption', couponRedemptionSchema);
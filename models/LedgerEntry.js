@@ -0,0 +1,142 @@
+const mongoose = require('mongoose');
+
+// Ledger accounts. Seller accounts are scoped by the entry's seller; the rest are platform-wide.
+//   seller_pending          - delivered-order earnings held for the return window
+//   seller_payable          - what the platform owes the seller (available wallet balance)
+//   withdrawals_in_transit  - requested withdrawals not yet paid out or rejected
+//   platform_commission     - platform revenue
+//   order_receipts          - customer money collected for orders
+//   customer_refunds        - money returned to customers
+//   payouts                 - money paid out to sellers
+//   platform_adjustments    - manual corrections made by admins (see utils/reconciliation.js)
+//   platform_promotions     - coupon discounts funded by the platform and paid back to sellers
+const LEDGER_ACCOUNTS = [
+  'seller_pending',
+  'seller_payable',
+  'withdrawals_in_transit',
+  'platform_commission',
+  'order_receipts',
+  'customer_refunds',
+  'payouts',
+  'platform_adjustments',
+  'platform_promotions'
+];
+
+const LEDGER_ENTRY_TYPES = [
+  'order_earning',
+  'settlement_release',
+  'refund_reversal',
+  'withdrawal_requested',
+  'withdrawal_rejected',
+  'withdrawal_paid',
+  'withdrawal_failed',
+  'adjustment'
+];
+
+const postingSchema = new mongoose.Schema({
+  account: {
+    type: String,
+    enum: LEDGER_ACCOUNTS,
+    required: true
+  },
+  debit: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  credit: {
+    type: Number,
+    default: 0,
+    min: 0
+  }
+}, { _id: false });
+
+// One journal entry per business event. Its postings are balanced (debits = credits) and
+// stored in one document, so an entry is written completely or not at all.
+const ledgerEntrySchema = new mongoose.Schema({
+  // Idempotency key for the event, e.g. 'order:<id>:earning'; posting the same event twice is a no-op
+  key: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  type: {
+    type: String,
+    enum: LEDGER_ENTRY_TYPES,
+    required: true
+  },
+  seller: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Seller',
+    required: true
+  },
+  order: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order'
+  },
+  withdrawal: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'WithdrawalRequest'
+  },
+  description: {
+    type: String,
+    required: true
+  },
+  postings: {
+    type: [postingSchema],
+    required: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+ledgerEntrySchema.index({ seller: 1, createdAt: -1, _id: -1 });
+ledgerEntrySchema.index({ 'postings.account': 1, createdAt: -1 });
+ledgerEntrySchema.index({ order: 1 }, { sparse: true });
+ledgerEntrySchema.index({ withdrawal: 1 }, { sparse: true });
+
+// Every posting moves money one way, and the entry as a whole balances
+ledgerEntrySchema.pre('validate', function(next) {
+  const postings = this.postings || [];
+  if (postings.length < 2) {
+    return next(new Error('A ledger entry needs at least two postings'));
+  }
+  for (const posting of postings) {
+    if ((posting.debit > 0) === (posting.credit > 0)) {
+      return next(new Error(`Posting to ${posting.account} must have either a debit or a credit`));
+    }
+  }
+  const toPaise = (value) => Math.round(value * 100);
+  const debits = postings.reduce((sum, p) => sum + toPaise(p.debit), 0);
+  const credits = postings.reduce((sum, p) => sum + toPaise(p.credit), 0);
+  if (debits !== credits) {
+    return next(new Error(`Unbalanced ledger entry: debits ${debits / 100} != credits ${credits / 100}`));
+  }
+  next();
+});
+
+// Entries are immutable: corrections are posted as new entries
+ledgerEntrySchema.pre('save', function(next) {
+  if (!this.isNew) {
+    return next(new Error('Ledger entries cannot be modified'));
+  }
+  next();
+});
+
+const rejectChange = function(next) {
+  next(new Error('Ledger entries cannot be modified or deleted'));
+};
+['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'findOneAndReplace',
+  'deleteOne', 'deleteMany', 'findOneAndDelete'].forEach(op => {
+  ledgerEntrySchema.pre(op, rejectChange);
+});
+
+const LedgerEntry = mongoose.model('LedgerEntry', ledgerEntrySchema);
+
+module.exports = LedgerEntry;
+module.exports.LEDGER_ACCOUNTS = LEDGER_ACCOUNTS;
+module.exports.LEDGER_ENTRY_TYPES = LEDGER_ENTRY_TYPES;
@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const { nextSequence } = require('../utils/sequence');
 
 const orderItemSchema = new mongoose.Schema({
   product: {
@@ -27,9 +28,106 @@ const orderItemSchema = new mongoose.Schema({
     size: String,
     color: String
   },
-  sku: String
+  sku: String,
+  sellerProduct: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'SellerProduct'
+  },
+  // Variant options whose stock was reserved for this item
+  variantStock: [{
+    _id: false,
+    name: String,
+    value: String
+  }],
+  refundedQuantity: {
+    type: Number,
+    default: 0,
+    min: 0
+  }
 });
 
+const refundSchema = new mongoose.Schema({
+  amount: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  refundNumber: String,
+  reason: String,
+  items: [{
+    orderItem: mongoose.Schema.Types.ObjectId,
+    quantity: Number,
+    amount: Number
+  }],
+  gateway: {
+    type: String,
+    enum: ['razorpay', 'stripe', 'manual'],
+    default: 'razorpay'
+  },
+  gatewayRefundId: String,
+  status: {
+    type: String,
+    enum: ['pending', 'processed', 'failed'],
+    default: 'pending'
+  },
+  // Seller earnings reversed from the wallet for this refund
+  sellerDebit: {
+    type: Number,
+    default: 0
+  },
+  initiatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  processedAt: Date
+}, {
+  timestamps: true
+});
+
+const statusHistorySchema = new mongoose.Schema({
+  from: String,
+  to: {
+    type: String,
+    required: true
+  },
+  actor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  actorRole: {
+    type: String,
+    enum: ['customer', 'seller', 'admin', 'system'],
+    default: 'system'
+  },
+  note: String,
+  at: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false });
+
+// Commission rules applied to this order, fixed when it is placed so later rule changes
+// never alter its earnings
+const commissionSnapshotSchema = new mongoose.Schema({
+  calculatedAt: Date,
+  ruleDate: Date, // rules were taken as in effect at this time
+  lines: [{
+    _id: false,
+    orderItem: mongoose.Schema.Types.ObjectId,
+    rule: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'CommissionRule'
+    },
+    ruleName: String,
+    scope: String,
+    percentage: Number,
+    fixedFee: Number,
+    base: Number,
+    amount: Number
+  }],
+  total: Number
+}, { _id: false });
+
 const orderSchema = new mongoose.Schema({
   orderNumber: {
     type: String,
@@ -125,7 +223,7 @@ const orderSchema = new mongoose.Schema({
   paymentStatus: {
     type: String,
     required: true,
-    enum: ['pending', 'paid', 'failed', 'refunded'],
+    enum: ['pending', 'paid', 'failed', 'partially_refunded', 'refunded'],
     default: 'pending'
   },
   shippingStatus: {
@@ -134,6 +232,15 @@ const orderSchema = new mongoose.Schema({
     enum: ['pending', 'shipped', 'delivered'],
     default: 'pending'
   },
+  statusHistory: [statusHistorySchema],
+  stockReservation: {
+    status: {
+      type: String,
+      enum: ['none', 'reserved', 'released'],
+      default: 'none'
+    },
+    releasedAt: Date
+  },
   trackingNumber: String,
   trackingUrl: String,
   estimatedDelivery: Date,
@@ -153,15 +260,28 @@ const orderSchema = new mongoose.Schema({
     type: Number,
     default: 0
   },
+  commissionSnapshot: commissionSnapshotSchema,
+  // Earnings are held as pending until the return window after delivery has passed
+  settlement: {
+    status: {
+      type: String,
+      enum: ['none', 'pending', 'released'],
+      default: 'none'
+    },
+    releaseAt: Date,
+    releasedAt: Date
+  },
   isEarningsCredited: {
     type: Boolean,
     default: false
   },
-  orderIdempotencyKey: {
-    type: String,
-    unique: true,
-    sparse: true // Allows multiple null values
+  refunds: [refundSchema],
+  refundedAmount: {
+    type: Number,
+    default: 0
   },
+  // Shared by all split orders of one checkout, so not unique
+  orderIdempotencyKey: String,
   coupon: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'Coupon'
@@ -170,11 +290,54 @@ const orderSchema = new mongoose.Schema({
     type: Number,
     default: 0
   },
-  razorpayOrderId: {
-    type: String,
-    unique: true,
-    sparse: true
-  }
+  // Who pays for this order's coupon discount (items and waived shipping), taken when it is placed.
+  // The platform's part is added back to the seller's earnings in settlement.
+  couponFunding: {
+    funding: {
+      type: String,
+      enum: ['platform', 'vendor', 'split']
+    },
+    platformSharePercent: Number,
+    platformAmount: {
+      type: Number,
+      default: 0
+    },
+    sellerAmount: {
+      type: Number,
+      default: 0
+    }
+  },
+  // Automatic promotions applied to this order when it was placed; their discount is part of `discount`
+  promotions: [{
+    _id: false,
+    promotion: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Promotion'
+    },
+    name: String,
+    type: { type: String },
+    ownerType: String,
+    funding: String,
+    platformSharePercent: Number,
+    discount: Number,
+    // Paid back to the seller in settlement, like couponFunding.platformAmount
+    platformAmount: {
+      type: Number,
+      default: 0
+    }
+  }],
+  checkoutSession: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'CheckoutSession'
+  },
+  // Parent of all orders placed from the same checkout
+  orderGroup: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'OrderGroup'
+  },
+  // Shared by all split orders paid with one Razorpay order, so not unique
+  razorpayOrderId: String,
+  stripePaymentIntentId: String
 }, {
   timestamps: true
 });
@@ -187,22 +350,15 @@ orderSchema.index({ orderStatus: 1 });
 orderSchema.index({ paymentStatus: 1 });
 orderSchema.index({ createdAt: -1 });
 orderSchema.index({ orderIdempotencyKey: 1 });
+orderSchema.index({ 'refunds.gatewayRefundId': 1 });
+orderSchema.index({ razorpayOrderId: 1 }, { sparse: true });
+orderSchema.index({ orderGroup: 1 });
+orderSchema.index({ 'settlement.status': 1, 'settlement.releaseAt': 1 });
 
-// Pre-save middleware to generate order number
+// Pre-save middleware to generate order number from the atomic 'order' sequence
 orderSchema.pre('save', async function(next) {
-  if (this.isNew) {
-    const date = new Date();
-    const year = date.getFullYear().toString().slice(-2);
-    const month = (date.getMonth() + 1).toString().padStart(2, '0');
-    const day = date.getDate().toString().padStart(2, '0');
-    
-    // Get count of orders for today
-    const today = new Date(date.getFullYear(), date.getMonth(), date.getDate());
-    const orderCount = await this.constructor.countDocuments({
-      createdAt: { $gte: today }
-    });
-    
-    this.orderNumber = `ORD${year}${month}${day}${(orderCount + 1).toString().padStart(4, '0')}`;
+  if (this.isNew && !this.orderNumber) {
+    this.orderNumber = await nextSequence('order');
   }
   next();
 });
@@ -0,0 +1,106 @@
+const mongoose = require('mongoose');
+const { nextSequence } = require('../utils/sequence');
+
+// Parent of the per-seller orders placed from one checkout: holds what they share
+// (address, payment, coupon, grand total) so the customer sees a single purchase.
+const orderGroupSchema = new mongoose.Schema({
+  groupNumber: {
+    type: String,
+    unique: true
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  orders: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order'
+  }],
+  checkoutSession: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'CheckoutSession'
+  },
+  shippingAddress: {
+    type: {
+      type: String,
+      enum: ['home', 'work', 'other'],
+      default: 'home'
+    },
+    firstName: String,
+    lastName: String,
+    street: String,
+    city: String,
+    state: String,
+    zipCode: String,
+    country: {
+      type: String,
+      default: 'India'
+    },
+    phone: String
+  },
+  paymentMethod: {
+    type: String,
+    required: true,
+    enum: ['stripe', 'paypal', 'cod', 'credit-card', 'apple-pay', 'google-pay', 'razorpay']
+  },
+  // Rolled up from the child orders by syncOrderGroupPayment
+  paymentStatus: {
+    type: String,
+    enum: ['pending', 'paid', 'failed', 'partially_refunded', 'refunded'],
+    default: 'pending'
+  },
+  paymentResult: {
+    id: String,
+    status: String,
+    update_time: String,
+    email_address: String,
+    razorpay_order_id: String,
+    razorpay_signature: String
+  },
+  razorpayOrderId: String,
+  stripePaymentIntentId: String,
+  coupon: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Coupon'
+  },
+  couponCode: String,
+  itemsPrice: {
+    type: Number,
+    default: 0
+  },
+  discount: {
+    type: Number,
+    default: 0
+  },
+  shippingPrice: {
+    type: Number,
+    default: 0
+  },
+  taxPrice: {
+    type: Number,
+    default: 0
+  },
+  totalPrice: {
+    type: Number,
+    required: true,
+    default: 0
+  },
+  orderIdempotencyKey: String
+}, {
+  timestamps: true
+});
+
+orderGroupSchema.index({ user: 1, createdAt: -1 });
+orderGroupSchema.index({ razorpayOrderId: 1 }, { sparse: true });
+orderGroupSchema.index({ orderIdempotencyKey: 1 }, { sparse: true });
+
+// Pre-save middleware to generate group number from the atomic 'orderGroup' sequence
+orderGroupSchema.pre('save', async function(next) {
+  if (this.isNew && !this.groupNumber) {
+    this.groupNumber = await nextSequence('orderGroup');
+  }
+  next();
+});
+
+module.exports = mongoose.model('OrderGroup', orderGroupSchema);
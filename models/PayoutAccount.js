@@ -0,0 +1,171 @@
+const mongoose = require('mongoose');
+
+const IFSC_PATTERN = /^[A-Z]{4}0[A-Z0-9]{6}$/;
+const ACCOUNT_NUMBER_PATTERN = /^\d{9,18}$/;
+const UPI_PATTERN = /^[a-zA-Z0-9._-]{2,256}@[a-zA-Z][a-zA-Z0-9]{2,64}$/;
+const WALLET_NUMBER_PATTERN = /^[6-9]\d{9}$/; // Indian mobile number
+
+// Withdrawal payment method for each account type
+const PAYMENT_METHODS = {
+  bank_account: 'bank_transfer',
+  upi: 'upi',
+  paytm: 'paytm',
+  phonepe: 'phonepe'
+};
+
+// A seller's saved payout method. Withdrawals are paid to a verified account.
+const payoutAccountSchema = new mongoose.Schema({
+  seller: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Seller',
+    required: true
+  },
+  type: {
+    type: String,
+    enum: Object.keys(PAYMENT_METHODS),
+    required: true
+  },
+  label: {
+    type: String,
+    trim: true
+  },
+  accountHolderName: {
+    type: String,
+    trim: true
+  },
+  accountNumber: {
+    type: String,
+    trim: true,
+    select: false // only the masked number is shown
+  },
+  accountNumberLast4: String,
+  ifscCode: {
+    type: String,
+    trim: true,
+    uppercase: true
+  },
+  bankName: String,
+  branch: String,
+  upiId: {
+    type: String,
+    trim: true,
+    lowercase: true
+  },
+  walletNumber: {
+    type: String,
+    trim: true
+  },
+  isDefault: {
+    type: Boolean,
+    default: false
+  },
+  verificationStatus: {
+    type: String,
+    enum: ['pending', 'verified', 'rejected'],
+    default: 'pending'
+  },
+  verifiedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  verifiedAt: Date,
+  rejectionReason: String
+}, {
+  timestamps: true
+});
+
+payoutAccountSchema.index({ seller: 1, createdAt: -1 });
+payoutAccountSchema.index({ verificationStatus: 1, createdAt: -1 });
+// At most one default account per seller
+payoutAccountSchema.index({ seller: 1, isDefault: 1 }, { unique: true, partialFilterExpression: { isDefault: true } });
+
+// Format checks per account type; fields of other types are cleared
+payoutAccountSchema.pre('validate', function(next) {
+  const required = {
+    bank_account: ['accountHolderName', 'accountNumber', 'ifscCode'],
+    upi: ['upiId'],
+    paytm: ['walletNumber'],
+    phonepe: ['walletNumber']
+  }[this.type] || [];
+
+  // accountNumber is not selected on loaded documents; only check it when it is being set
+  const checkAccountNumber = this.isNew || this.isModified('accountNumber') || this.isModified('type');
+  for (const field of required) {
+    if (field === 'accountNumber' && !checkAccountNumber) continue;
+    if (!this[field]) {
+      return next(new Error(`${field} is required for ${this.type} payout accounts`));
+    }
+  }
+
+  if (this.type === 'bank_account') {
+    if (checkAccountNumber && !ACCOUNT_NUMBER_PATTERN.test(this.accountNumber)) {
+      return next(new Error('Account number must be 9 to 18 digits'));
+    }
+    if (!IFSC_PATTERN.test(this.ifscCode)) {
+      return next(new Error('Invalid IFSC code'));
+    }
+    if (checkAccountNumber) this.accountNumberLast4 = this.accountNumber.slice(-4);
+    this.upiId = undefined;
+    this.walletNumber = undefined;
+  } else if (this.type === 'upi') {
+    if (!UPI_PATTERN.test(this.upiId)) {
+      return next(new Error('Invalid UPI ID'));
+    }
+  } else if (!WALLET_NUMBER_PATTERN.test(this.walletNumber)) {
+    return next(new Error('Wallet number must be a 10 digit mobile number'));
+  }
+
+  if (this.type !== 'bank_account') {
+    ['accountNumber', 'accountNumberLast4', 'ifscCode', 'bankName', 'branch'].forEach(field => {
+      this[field] = undefined;
+    });
+    if (this.type === 'upi') this.walletNumber = undefined;
+    else this.upiId = undefined;
+  }
+  next();
+});
+
+// Changing where the money goes needs a fresh verification
+payoutAccountSchema.pre('save', function(next) {
+  const details = ['type', 'accountHolderName', 'accountNumber', 'ifscCode', 'upiId', 'walletNumber'];
+  if (!this.isNew && details.some(field => this.isModified(field))) {
+    this.verificationStatus = 'pending';
+    this.verifiedBy = undefined;
+    this.verifiedAt = undefined;
+    this.rejectionReason = undefined;
+  }
+  next();
+});
+
+payoutAccountSchema.virtual('maskedAccountNumber').get(function() {
+  return this.accountNumberLast4 ? `XXXX${this.accountNumberLast4}` : undefined;
+});
+
+payoutAccountSchema.virtual('paymentMethod').get(function() {
+  return PAYMENT_METHODS[this.type];
+});
+
+// Withdrawal bankDetails for this account. Needs accountNumber selected for bank accounts.
+payoutAccountSchema.methods.toBankDetails = function() {
+  return {
+    accountHolderName: this.accountHolderName,
+    accountNumber: this.accountNumber,
+    ifscCode: this.ifscCode,
+    bankName: this.bankName,
+    branch: this.branch,
+    upiId: this.upiId,
+    walletNumber: this.walletNumber
+  };
+};
+
+// Serialize virtuals, and never the full account number
+payoutAccountSchema.set('toJSON', {
+  virtuals: true,
+  transform: (doc, ret) => {
+    delete ret.accountNumber;
+    return ret;
+  }
+});
+
+module.exports = mongoose.model('PayoutAccount', payoutAccountSchema);
+module.exports.PAYMENT_METHODS = PAYMENT_METHODS;
@@ -295,6 +295,7 @@ const productSchema = new mongoose.Schema({
 // Indexes for better query performance
 productSchema.index({ name: 'text', description: 'text', brand: 'text' });
 productSchema.index({ category: 1 });
+productSchema.index({ subCategory: 1 });
 productSchema.index({ seller: 1 });
 productSchema.index({ isActive: 1 });
 productSchema.index({ isFeatured: 1 });
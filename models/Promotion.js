@@ -0,0 +1,146 @@
+const mongoose = require('mongoose');
+
+// Automatic promotion, applied during cart pricing without a code (see utils/promotions.js).
+// Platform promotions are created by admins; seller promotions only apply to that seller's items.
+const promotionSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  description: String,
+  ownerType: {
+    type: String,
+    enum: ['platform', 'seller'],
+    default: 'seller'
+  },
+  vendor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Seller'
+  },
+  // percentage:  `discount` percent off eligible items, up to maxDiscount
+  // spend_tiers: the highest tier whose minSpend the eligible items reach takes its discount off
+  // bundle:      every bundleQuantity eligible units cost bundlePrice together
+  type: {
+    type: String,
+    enum: ['percentage', 'spend_tiers', 'bundle'],
+    required: true
+  },
+  discount: {
+    type: Number,
+    min: 0
+  },
+  maxDiscount: {
+    type: Number,
+    min: 0
+  },
+  tiers: [{
+    _id: false,
+    minSpend: {
+      type: Number,
+      required: true,
+      min: 0
+    },
+    discount: {
+      type: Number,
+      required: true,
+      min: 0
+    }
+  }],
+  bundleQuantity: {
+    type: Number,
+    min: 2
+  },
+  bundlePrice: {
+    type: Number,
+    min: 0
+  },
+  // Restrict to these; empty means no restriction
+  categories: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Category'
+  }],
+  products: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product'
+  }],
+  sellerProducts: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'SellerProduct'
+  }],
+  sellers: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Seller'
+  }],
+  startsAt: Date,
+  endsAt: Date,
+  // Higher priority promotions are applied first. Set by admins only.
+  priority: {
+    type: Number,
+    default: 0
+  },
+  // Whether further promotions may apply to items this one discounts
+  stackable: {
+    type: Boolean,
+    default: true
+  },
+  // When false, a coupon and this promotion are not combined: whichever has the higher priority wins
+  stacksWithCoupons: {
+    type: Boolean,
+    default: true
+  },
+  // Who pays for the discount, as on Coupon; defaults to the owner
+  funding: {
+    type: String,
+    enum: ['platform', 'vendor', 'split']
+  },
+  platformSharePercent: {
+    type: Number,
+    min: 0,
+    max: 100
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+promotionSchema.index({ isActive: 1, startsAt: 1, endsAt: 1 });
+promotionSchema.index({ ownerType: 1, vendor: 1 });
+
+// Each type needs its own settings
+promotionSchema.pre('validate', function(next) {
+  if (this.ownerType === 'seller' && !this.vendor) {
+    return next(new Error('A seller promotion needs a vendor'));
+  }
+  if (this.ownerType === 'platform') {
+    this.vendor = undefined;
+  }
+  if (!this.funding) {
+    this.funding = this.ownerType === 'platform' ? 'platform' : 'vendor';
+  }
+  if (this.funding === 'split' && !(this.platformSharePercent > 0 && this.platformSharePercent < 100)) {
+    return next(new Error('A split-funded promotion needs a platformSharePercent between 1 and 99'));
+  }
+  if (this.type === 'percentage' && !(this.discount > 0 && this.discount <= 100)) {
+    return next(new Error('A percentage promotion needs a discount between 1 and 100'));
+  }
+  if (this.type === 'spend_tiers' && this.tiers.length === 0) {
+    return next(new Error('A spend tiers promotion needs at least one tier'));
+  }
+  if (this.type === 'bundle' && !(this.bundleQuantity >= 2 && this.bundlePrice >= 0 && this.sellerProducts.length > 0)) {
+    return next(new Error('A bundle promotion needs sellerProducts, bundleQuantity and bundlePrice'));
+  }
+  if (this.startsAt && this.endsAt && this.startsAt >= this.endsAt) {
+    return next(new Error('endsAt must be after startsAt'));
+  }
+  next();
+});
+
+module.exports = mongoose.model('Promotion', promotionSchema);
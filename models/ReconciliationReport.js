@@ -0,0 +1,70 @@
+const mongoose = require('mongoose');
+
+const issueSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    required: true
+  },
+  message: String,
+  order: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order'
+  },
+  orderNumber: String,
+  refundNumber: String,
+  withdrawal: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'WithdrawalRequest'
+  },
+  withdrawalReference: String,
+  expected: Number,
+  actual: Number
+}, { _id: false });
+
+const sellerResultSchema = new mongoose.Schema({
+  seller: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Seller',
+    required: true
+  },
+  // Seller funds (available + held + in transit) implied by orders, refunds and withdrawals
+  expected: Number,
+  // The same funds according to the ledger (including adjustments)
+  ledger: Number,
+  drift: Number, // ledger - expected
+  walletSnapshotDrift: Number, // cached Wallet balance - ledger balance
+  issues: [issueSchema]
+}, { _id: false });
+
+// Result of a read-only comparison of seller wallets with the documents behind them.
+// Only sellers with drift or issues are stored.
+const reconciliationReportSchema = new mongoose.Schema({
+  startedAt: {
+    type: Date,
+    required: true
+  },
+  finishedAt: Date,
+  triggeredBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User' // unset for scheduled runs
+  },
+  sellersChecked: {
+    type: Number,
+    default: 0
+  },
+  sellersWithDrift: {
+    type: Number,
+    default: 0
+  },
+  totalDrift: {
+    type: Number,
+    default: 0
+  },
+  sellers: [sellerResultSchema]
+}, {
+  timestamps: true
+});
+
+reconciliationReportSchema.index({ createdAt: -1 });
+
+module.exports = mongoose.model('ReconciliationReport', reconciliationReportSchema);
@@ -29,6 +29,13 @@ const sellerSchema = new mongoose.Schema({
     ref: 'User'
   },
   rejectionReason: String,
+  // Commission plan matched by 'plan' commission rules
+  commissionPlan: {
+    type: String,
+    trim: true,
+    lowercase: true,
+    default: 'standard'
+  },
   isActive: {
     type: Boolean,
     default: true
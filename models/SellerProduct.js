@@ -83,5 +83,8 @@ sellerProductSchema.pre('save', async function(next) {
 
 sellerProductSchema.index({ seller: 1 });
 sellerProductSchema.index({ product: 1 });
+// Catalog browsing: listed items by price or newest first (utils/productSearch.js)
+sellerProductSchema.index({ isListed: 1, sellerPrice: 1 });
+sellerProductSchema.index({ isListed: 1, createdAt: -1 });
 
 module.exports = mongoose.model('SellerProduct', sellerProductSchema); 
\ No newline at end of file
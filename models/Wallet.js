@@ -1,41 +1,7 @@
 const mongoose = require('mongoose');
 
-const transactionSchema = new mongoose.Schema({
-  type: {
-    type: String,
-    enum: ['credit', 'debit'],
-    required: true
-  },
-  amount: {
-    type: Number,
-    required: true,
-    min: 0
-  },
-  description: {
-    type: String,
-    required: true
-  },
-  orderId: {
-    type: mongoose.Schema.Types.ObjectId,
-    ref: 'Order'
-  },
-  withdrawalId: {
-    type: mongoose.Schema.Types.ObjectId,
-    ref: 'WithdrawalRequest'
-  },
-  balance: {
-    type: Number,
-    required: true
-  },
-  status: {
-    type: String,
-    enum: ['completed', 'pending', 'failed'],
-    default: 'completed'
-  }
-}, {
-  timestamps: true
-});
-
+// Cached balances of a seller's ledger (see utils/ledger.js). Entries live in the
+// LedgerEntry collection; this document is rewritten from them after every posting.
 const walletSchema = new mongoose.Schema({
   seller: {
     type: mongoose.Schema.Types.ObjectId,
@@ -43,10 +9,10 @@ const walletSchema = new mongoose.Schema({
     required: true,
     unique: true
   },
+  // Can go below zero when a refund is reversed after the earnings were withdrawn
   balance: {
     type: Number,
-    default: 0,
-    min: 0
+    default: 0
   },
   totalEarnings: {
     type: Number,
@@ -63,10 +29,62 @@ const walletSchema = new mongoose.Schema({
     default: 0,
     min: 0
   },
-  transactions: [transactionSchema],
+  // Earnings still inside the settlement hold, not yet withdrawable
+  pendingSettlement: {
+    type: Number,
+    default: 0
+  },
+  // Held while a withdrawal request is being created (see utils/withdrawals.js)
+  withdrawalLockId: String,
+  withdrawalLockExpiresAt: Date,
   isActive: {
     type: Boolean,
     default: true
+  },
+  // Scheduled withdrawals of the available balance (see utils/autoPayouts.js)
+  autoPayout: {
+    enabled: {
+      type: Boolean,
+      default: false
+    },
+    frequency: {
+      type: String,
+      enum: ['weekly', 'monthly'],
+      default: 'weekly'
+    },
+    dayOfWeek: {
+      type: Number,
+      min: 0, // Sunday
+      max: 6,
+      default: 1
+    },
+    dayOfMonth: {
+      type: Number,
+      min: 1,
+      max: 28, // every month has it
+      default: 1
+    },
+    // Only pay out once the available balance reaches this
+    minimumAmount: {
+      type: Number,
+      min: 100,
+      default: 100
+    },
+    payoutAccount: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'PayoutAccount'
+    },
+    nextRunAt: Date,
+    lastRunAt: Date,
+    lastResult: {
+      type: String,
+      enum: ['created', 'below_threshold', 'failed']
+    },
+    lastError: String,
+    lastWithdrawal: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'WithdrawalRequest'
+    }
   }
 }, {
   timestamps: true
@@ -74,70 +92,6 @@ const walletSchema = new mongoose.Schema({
 
 // Indexes for better query performance
 walletSchema.index({ seller: 1 });
-walletSchema.index({ 'transactions.createdAt': -1 });
-
-// Method to add transaction
-walletSchema.methods.addTransaction = function(type, amount, description, orderId = null, withdrawalId = null) {
-  const transaction = {
-    type,
-    amount,
-    description,
-    orderId,
-    withdrawalId,
-    balance: this.balance,
-    status: 'completed'
-  };
-  
-  this.transactions.push(transaction);
-  
-  if (type === 'credit') {
-    this.balance += amount;
-    this.totalEarnings += amount;
-  } else if (type === 'debit') {
-    this.balance -= amount;
-    this.totalWithdrawn += amount;
-  }
-  
-  return this.save();
-};
-
-// Method to get transaction history with pagination
-walletSchema.methods.getTransactionHistory = function(page = 1, limit = 10) {
-  const skip = (page - 1) * limit;
-  const transactions = this.transactions
-    .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt))
-    .slice(skip, skip + limit);
-  
-  return {
-    transactions,
-    total: this.transactions.length,
-    page,
-    totalPages: Math.ceil(this.transactions.length / limit)
-  };
-};
-
-// Method to get earnings summary
-walletSchema.methods.getEarningsSummary = function() {
-  const now = new Date();
-  const thisMonth = new Date(now.getFullYear(), now.getMonth(), 1);
-  const thisYear = new Date(now.getFullYear(), 0, 1);
-  
-  const monthlyEarnings = this.transactions
-    .filter(t => t.type === 'credit' && new Date(t.createdAt) >= thisMonth)
-    .reduce((sum, t) => sum + t.amount, 0);
-    
-  const yearlyEarnings = this.transactions
-    .filter(t => t.type === 'credit' && new Date(t.createdAt) >= thisYear)
-    .reduce((sum, t) => sum + t.amount, 0);
-    
-  return {
-    currentBalance: this.balance,
-    totalEarnings: this.totalEarnings,
-    totalWithdrawn: this.totalWithdrawn,
-    pendingWithdrawals: this.pendingWithdrawals,
-    monthlyEarnings,
-    yearlyEarnings
-  };
-};
+walletSchema.index({ 'autoPayout.enabled': 1, 'autoPayout.nextRunAt': 1 });
 
 module.exports = mongoose.model('Wallet', walletSchema);
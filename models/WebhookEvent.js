@@ -0,0 +1,46 @@
+const mongoose = require('mongoose');
+
+// Processed payment and payout gateway webhook events, used to ignore replays
+const webhookEventSchema = new mongoose.Schema({
+  provider: {
+    type: String,
+    required: true,
+    enum: ['razorpay', 'razorpayx', 'stripe', 'mock'],
+    default: 'razorpay'
+  },
+  eventId: {
+    type: String,
+    required: true
+  },
+  event: {
+    type: String,
+    required: true
+  },
+  entityId: String,
+  status: {
+    type: String,
+    enum: ['processing', 'processed', 'ignored'],
+    default: 'processing'
+  },
+  // When the current handler took the event; a 'processing' record older than the lease is
+  // assumed to belong to a crashed handler and can be taken over by a retry
+  startedAt: {
+    type: Date,
+    default: Date.now
+  },
+  attempts: {
+    type: Number,
+    default: 1
+  },
+  ordersUpdated: {
+    type: Number,
+    default: 0
+  },
+  processedAt: Date
+}, {
+  timestamps: true
+});
+
+webhookEventSchema.index({ provider: 1, eventId: 1 }, { unique: true });
+
+module.exports = mongoose.model('WebhookEvent', webhookEventSchema);
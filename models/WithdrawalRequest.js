@@ -1,6 +1,12 @@
 const mongoose = require('mongoose');
+const { nextSequence } = require('../utils/sequence');
 
 const withdrawalRequestSchema = new mongoose.Schema({
+  reference: {
+    type: String,
+    unique: true,
+    sparse: true // Requests created before references were introduced have none
+  },
   seller: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'Seller',
@@ -11,6 +17,11 @@ const withdrawalRequestSchema = new mongoose.Schema({
     required: true,
     min: 100 // Minimum withdrawal amount
   },
+  // Saved payout account the request was made to; bankDetails keeps a copy of its details
+  payoutAccount: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'PayoutAccount'
+  },
   bankDetails: {
     accountHolderName: { type: String },
     accountNumber: { type: String },
@@ -22,7 +33,7 @@ const withdrawalRequestSchema = new mongoose.Schema({
   },
   status: {
     type: String,
-    enum: ['pending', 'approved', 'rejected', 'processed'],
+    enum: ['pending', 'approved', 'rejected', 'processed', 'failed'],
     default: 'pending'
   },
   adminNotes: String,
@@ -33,10 +44,32 @@ const withdrawalRequestSchema = new mongoose.Schema({
   processedAt: Date,
   rejectionReason: String,
   transactionId: String, // External payment transaction ID
+  // Automated payout through the configured payout provider (see utils/payouts.js)
+  payout: {
+    provider: String,
+    contactId: String,
+    fundAccountId: String,
+    payoutId: String,
+    status: String, // provider status, e.g. queued, processing, processed, failed, reversed
+    utr: String, // bank reference once processed
+    failureReason: String,
+    lastError: String, // last error while starting the payout
+    initiatedAt: Date,
+    updatedAt: Date
+  },
+  failureReason: String,
   paymentMethod: {
     type: String,
     enum: ['bank_transfer', 'upi', 'paytm', 'phonepe'],
     default: 'bank_transfer'
+  },
+  // Client-supplied key; retrying a request with the same key returns the original
+  idempotencyKey: String,
+  // 'auto' requests are created by the seller's auto-payout schedule
+  source: {
+    type: String,
+    enum: ['manual', 'auto'],
+    default: 'manual'
   }
 }, {
   timestamps: true
@@ -46,6 +79,11 @@ const withdrawalRequestSchema = new mongoose.Schema({
 withdrawalRequestSchema.index({ seller: 1 });
 withdrawalRequestSchema.index({ status: 1 });
 withdrawalRequestSchema.index({ createdAt: -1 });
+withdrawalRequestSchema.index({ 'payout.payoutId': 1 }, { sparse: true });
+withdrawalRequestSchema.index(
+  { seller: 1, idempotencyKey: 1 },
+  { unique: true, partialFilterExpression: { idempotencyKey: { $type: 'string' } } }
+);
 
 // Pre-save middleware to validate amount
 withdrawalRequestSchema.pre('save', function(next) {
@@ -55,6 +93,14 @@ withdrawalRequestSchema.pre('save', function(next) {
   next();
 });
 
+// Pre-save middleware to assign the withdrawal reference from the atomic 'withdrawal' sequence
+withdrawalRequestSchema.pre('save', async function(next) {
+  if (this.isNew && !this.reference) {
+    this.reference = await nextSequence('withdrawal');
+  }
+  next();
+});
+
 // Conditional validation based on payment method
 withdrawalRequestSchema.pre('validate', function(next) {
   try {
@@ -106,4 +152,11 @@ withdrawalRequestSchema.methods.markAsProcessed = function(adminId, transactionI
   return this.save();
 };
 
+// Method to mark a payout as failed (funds are returned to the seller by the caller)
+withdrawalRequestSchema.methods.markAsFailed = function(reason) {
+  this.status = 'failed';
+  this.failureReason = reason;
+  return this.save();
+};
+
 module.exports = mongoose.model('WithdrawalRequest', withdrawalRequestSchema);
@@ -2,6 +2,9 @@ const express = require('express');
 const router = express.Router();
 const { protect, authorize } = require('../middleware/authMiddleware');
 const adminController = require('../controllers/adminController');
+const commissionController = require('../controllers/commissionController');
+const couponController = require('../controllers/couponController');
+const promotionController = require('../controllers/promotionController');
 const multer = require('multer');
 
 // Configure multer for memory storage
@@ -40,5 +43,25 @@ router.put('/products/:id/reject', adminController.rejectProduct);
 router.get('/orders', adminController.getOrders);
 router.get('/analytics', adminController.getAnalytics);
 
+// Commission rules
+router.get('/commission-rules', commissionController.getCommissionRules);
+router.post('/commission-rules', commissionController.createCommissionRule);
+router.get('/commission-rules/preview', commissionController.previewCommissionRule);
+router.put('/commission-rules/:id', commissionController.updateCommissionRule);
+router.delete('/commission-rules/:id', commissionController.deactivateCommissionRule);
+router.put('/sellers/:id/commission-plan', commissionController.updateSellerCommissionPlan);
+
+// Coupons
+router.get('/coupons', couponController.getAllCoupons);
+router.post('/coupons', couponController.createPlatformCoupon);
+router.put('/coupons/:id', couponController.updatePlatformCoupon);
+router.delete('/coupons/:id', couponController.deactivatePlatformCoupon);
+
+// Automatic promotions
+router.get('/promotions', promotionController.getAllPromotions);
+router.post('/promotions', promotionController.createPlatformPromotion);
+router.put('/promotions/:id', promotionController.updatePlatformPromotion);
+router.delete('/promotions/:id', promotionController.deactivatePlatformPromotion);
+
 module.exports = router; 
  
\ No newline at end of file
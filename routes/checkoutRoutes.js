@@ -0,0 +1,12 @@
+const express = require('express');
+const router = express.Router();
+const { protect } = require('../middleware/authMiddleware');
+const checkoutController = require('../controllers/checkoutController');
+
+// All routes are protected
+router.use(protect);
+
+router.post('/session', checkoutController.createCheckoutSession);
+router.get('/session/:id', checkoutController.getCheckoutSession);
+
+module.exports = router;
@@ -3,12 +3,22 @@ const router = express.Router();
 const couponController = require('../controllers/couponController');
 const { protect, authorize } = require('../middleware/authMiddleware');
 
+// Vendor/Admin: coupon campaigns (bulk single-use codes)
+router.post('/campaigns', protect, authorize('seller', 'admin'), couponController.createCouponCampaign);
+router.get('/campaigns', protect, authorize('seller', 'admin'), couponController.getCouponCampaigns);
+router.get('/campaigns/:id', protect, authorize('seller', 'admin'), couponController.getCouponCampaign);
+router.get('/campaigns/:id/codes.csv', protect, authorize('seller', 'admin'), couponController.exportCouponCampaignCodes);
+router.put('/campaigns/:id/pause', protect, authorize('seller', 'admin'), couponController.pauseCouponCampaign);
+router.put('/campaigns/:id/resume', protect, authorize('seller', 'admin'), couponController.resumeCouponCampaign);
+
 // Vendor: create and manage coupons
 router.post('/', protect, authorize('seller'), couponController.createCoupon);
 router.get('/', protect, authorize('seller'), couponController.getCoupons);
+router.put('/:id', protect, authorize('seller'), couponController.updateCoupon);
 router.put('/:id/deactivate', protect, authorize('seller'), couponController.deactivateCoupon);
 
-// User: apply coupon
+// User: apply or check a coupon against the cart
 router.post('/apply', protect, couponController.applyCoupon);
+router.post('/validate', protect, couponController.validateCoupon);
 
 module.exports = router; 
\ No newline at end of file
@@ -1,10 +1,16 @@
 const express = require('express');
 const router = express.Router();
 const { protect } = require('../middleware/authMiddleware');
+const { authorizeOrder } = require('../middleware/orderAccessMiddleware');
 const orderController = require('../controllers/orderController');
 const paymentController = require('../controllers/paymentController');
 
-// All routes are protected
+// Razorpay webhook is called by Razorpay itself and authenticated by its signature
+router.post('/payments/razorpay/webhook', paymentController.handleRazorpayWebhook);
+// Stripe webhook is called by Stripe itself and authenticated by its signature
+router.post('/payments/stripe/webhook', paymentController.handleStripeWebhook);
+
+// All other routes are protected
 router.use(protect);
 
 // Payment routes should be declared BEFORE dynamic ':id' routes
@@ -12,12 +18,19 @@ router.get('/payments/razorpay/key', paymentController.getRazorpayKey);
 router.post('/payments/razorpay/order', paymentController.createRazorpayOrder);
 router.post('/payments/razorpay/verify', paymentController.verifyRazorpayPayment);
 router.post('/payments/razorpay/capture', paymentController.capturePaymentForOrders);
+router.post('/payments/stripe/intent', paymentController.createStripePaymentIntent);
+
+// Order groups: one per checkout, parent of the per-seller orders
+router.get('/groups/:id', orderController.getOrderGroup);
+router.post('/groups/:id/capture', paymentController.captureOrderGroupPayment);
 
 router.post('/', orderController.createOrder);
 router.post('/razorpay', orderController.createOrderForRazorpay);
 router.get('/', orderController.getOrders);
-router.get('/:id', orderController.getOrder);
-router.put('/:id/status', orderController.updateOrderStatus);
-router.put('/:id/cancel', orderController.cancelOrder);
+router.get('/:id', authorizeOrder('read'), orderController.getOrder);
+router.get('/:id/timeline', authorizeOrder('read'), orderController.getOrderTimeline);
+router.put('/:id/status', authorizeOrder('updateStatus'), orderController.updateOrderStatus);
+router.put('/:id/cancel', authorizeOrder('cancel'), orderController.cancelOrder);
+router.post('/:id/refunds', authorizeOrder('refund'), orderController.refundOrder);
 
 module.exports = router; 
\ No newline at end of file
@@ -0,0 +1,12 @@
+const express = require('express');
+const router = express.Router();
+const promotionController = require('../controllers/promotionController');
+const { protect, authorize } = require('../middleware/authMiddleware');
+
+// Vendor: create and manage automatic promotions
+router.post('/', protect, authorize('seller'), promotionController.createPromotion);
+router.get('/', protect, authorize('seller'), promotionController.getPromotions);
+router.put('/:id', protect, authorize('seller'), promotionController.updatePromotion);
+router.put('/:id/deactivate', protect, authorize('seller'), promotionController.deactivatePromotion);
+
+module.exports = router;
@@ -19,6 +19,7 @@ router.post('/products', upload.array('images', 5), sellerController.createProdu
 router.put('/products/:id', sellerController.updateProduct);
 router.delete('/products/:id', sellerController.deleteProduct);
 router.get('/orders', sellerController.getOrders);
+router.get('/orders/:id', sellerController.getOrder);
 router.put('/orders/:id/status', sellerController.updateOrderStatus);
 router.get('/stats', sellerController.getStats);
 router.put('/products/:id/sold-count', sellerController.updateSoldCount);
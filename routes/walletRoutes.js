@@ -3,11 +3,20 @@ const router = express.Router();
 const {
   getSellerWallet,
   getTransactionHistory,
+  getSellerStatement,
   createWithdrawalRequest,
+  getAutoPayoutSettings,
+  updateAutoPayoutSettings,
   getWithdrawalRequests,
   approveWithdrawal,
   rejectWithdrawal,
   processWithdrawal,
+  initiateWithdrawalPayout,
+  handlePayoutWebhook,
+  runWalletReconciliation,
+  getLatestReconciliation,
+  getSellerReconciliation,
+  createWalletAdjustment,
   getAdminWalletOverview,
   getSellerEarningsReport,
   getSellerTransactions,
@@ -15,13 +24,33 @@ const {
   adminResyncSellerWallet,
   adminResyncOrderToWallet
 } = require('../controllers/walletController');
+const {
+  getPayoutAccounts,
+  createPayoutAccount,
+  updatePayoutAccount,
+  setDefaultPayoutAccount,
+  deletePayoutAccount,
+  getPayoutAccountsForReview,
+  verifyPayoutAccount
+} = require('../controllers/payoutAccountController');
 const { protect, sellerAuth, adminAuth } = require('../middleware/authMiddleware');
 
+// Payout webhook is called by the payout provider and authenticated by its signature
+router.post('/payouts/webhook', handlePayoutWebhook);
+
 // Seller wallet routes
 router.get('/', protect, sellerAuth, getSellerWallet);
 router.get('/transactions', protect, sellerAuth, getTransactionHistory);
+router.get('/statements', protect, sellerAuth, getSellerStatement);
 router.get('/withdrawals', protect, sellerAuth, require('../controllers/walletController').getSellerWithdrawalRequests || ((req,res)=>res.status(500).json({success:false,message:'handler missing'})));
 router.post('/withdraw', protect, sellerAuth, createWithdrawalRequest);
+router.get('/auto-payout', protect, sellerAuth, getAutoPayoutSettings);
+router.put('/auto-payout', protect, sellerAuth, updateAutoPayoutSettings);
+router.get('/payout-accounts', protect, sellerAuth, getPayoutAccounts);
+router.post('/payout-accounts', protect, sellerAuth, createPayoutAccount);
+router.put('/payout-accounts/:id', protect, sellerAuth, updatePayoutAccount);
+router.put('/payout-accounts/:id/default', protect, sellerAuth, setDefaultPayoutAccount);
+router.delete('/payout-accounts/:id', protect, sellerAuth, deletePayoutAccount);
 
 // Admin wallet routes
 router.get('/admin/overview', protect, adminAuth, getAdminWalletOverview);
@@ -31,6 +60,15 @@ router.get('/admin/withdrawals', protect, adminAuth, getWithdrawalRequests);
 router.put('/admin/withdrawals/:id/approve', protect, adminAuth, approveWithdrawal);
 router.put('/admin/withdrawals/:id/reject', protect, adminAuth, rejectWithdrawal);
 router.put('/admin/withdrawals/:id/process', protect, adminAuth, processWithdrawal);
+router.post('/admin/withdrawals/:id/payout', protect, adminAuth, initiateWithdrawalPayout);
+router.get('/admin/payout-accounts', protect, adminAuth, getPayoutAccountsForReview);
+router.put('/admin/payout-accounts/:id/verify', protect, adminAuth, verifyPayoutAccount);
+
+// Admin reconciliation routes (read-only checks, corrections are posted as adjustment entries)
+router.post('/admin/reconciliation', protect, adminAuth, runWalletReconciliation);
+router.get('/admin/reconciliation/latest', protect, adminAuth, getLatestReconciliation);
+router.get('/admin/reconciliation/seller/:sellerId', protect, adminAuth, getSellerReconciliation);
+router.post('/admin/seller/:sellerId/adjustments', protect, adminAuth, createWalletAdjustment);
 
 // Admin maintenance routes
 router.post('/admin/resync/seller/:sellerId', protect, adminAuth, adminResyncSellerWallet);
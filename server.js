@@ -22,12 +22,15 @@ const categoryRoutes = require('./routes/categoryRoutes');
 const couponRoutes = require('./routes/couponRoutes');
 const translateRoutes = require('./routes/translateRoutes');
 const walletRoutes = require('./routes/walletRoutes');
+const checkoutRoutes = require('./routes/checkoutRoutes');
+const promotionRoutes = require('./routes/promotionRoutes');
 
 // Import middleware
 const { errorHandler } = require('./middleware/errorMiddleware');
 
 // Import database connection
 const connectDB = require('./config/db');
+const { startScheduledJobs } = require('./utils/scheduler');
 
 // Initialize express app
 const app = express();
@@ -114,7 +117,13 @@ if (process.env.NODE_ENV === 'production') {
 }
 
 // Body parser middleware
-app.use(express.json({ limit: '10mb' }));
+app.use(express.json({
+  limit: '10mb',
+  // Keep the raw body for webhooks whose signature is computed over the exact bytes
+  verify: (req, res, buf) => {
+    if (req.originalUrl.includes('/webhook')) req.rawBody = buf;
+  }
+}));
 app.use(express.urlencoded({ extended: true, limit: '10mb' }));
 
 // Debug middleware to log all requests
@@ -137,6 +146,8 @@ app.use('/api/categories', categoryRoutes);
 app.use('/api/coupons', couponRoutes);
 app.use('/api/translate', translateRoutes);
 app.use('/api/wallet', walletRoutes);
+app.use('/api/checkout', checkoutRoutes);
+app.use('/api/promotions', promotionRoutes);
 
 // Test route to verify server is working
 app.get('/api/test', (req, res) => {
@@ -177,6 +188,7 @@ app.use('*', (req, res) => {
 const PORT = process.env.PORT || 5000;
 const server = app.listen(PORT, () => {
   console.log(`Server running on port ${PORT}`);
+  startScheduledJobs();
 });
 
 
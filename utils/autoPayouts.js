@@ -0,0 +1,136 @@
+const Wallet = require('../models/Wallet');
+const Seller = require('../models/Seller');
+const sendEmail = require('./sendEmail');
+const { getSellerBalances } = require('./ledger');
+const { MIN_WITHDRAWAL_AMOUNT, createWithdrawal, getWithdrawalLimits, getWithdrawnToday } = require('./withdrawals');
+
+/**
+ * Next auto-payout time strictly after `from`, at the start of the scheduled day.
+ * @param {Object} settings - Wallet.autoPayout
+ * @param {Date} [from=new Date()]
+ * @returns {Date}
+ */
+const getNextAutoPayoutAt = ({ frequency, dayOfWeek = 1, dayOfMonth = 1 }, from = new Date()) => {
+  if (frequency === 'monthly') {
+    const next = new Date(from.getFullYear(), from.getMonth(), dayOfMonth);
+    if (next <= from) next.setMonth(next.getMonth() + 1);
+    return next;
+  }
+  const next = new Date(from.getFullYear(), from.getMonth(), from.getDate());
+  next.setDate(next.getDate() + ((dayOfWeek - next.getDay() + 7) % 7));
+  if (next <= from) next.setDate(next.getDate() + 7);
+  return next;
+};
+
+// Best effort: a failed email never undoes the withdrawal
+const notifyAutoPayout = async (withdrawal, seller) => {
+  const amount = `₹${withdrawal.amount.toFixed(2)}`;
+  const emails = [];
+  if (seller?.email) {
+    emails.push({
+      email: seller.email,
+      subject: `Auto-payout of ${amount} requested`,
+      message: `Your scheduled payout of ${amount} (reference ${withdrawal.reference}) has been requested and is awaiting processing.`
+    });
+  }
+  if (process.env.ADMIN_EMAIL) {
+    emails.push({
+      email: process.env.ADMIN_EMAIL,
+      subject: `New auto-payout withdrawal ${withdrawal.reference}`,
+      message: `${seller?.businessName || 'A seller'} has an auto-payout withdrawal of ${amount} waiting for approval.`
+    });
+  }
+  for (const email of emails) {
+    try {
+      await sendEmail(email);
+    } catch (error) {
+      console.error(`Auto-payout email to ${email.email} failed:`, error.message);
+    }
+  }
+};
+
+// Run one wallet's auto-payout: withdraw the available balance, up to what the daily cap still
+// allows, if that reaches the threshold. Anything above the cap goes out in a later cycle.
+const runAutoPayout = async (wallet, cycleAt) => {
+  const settings = wallet.autoPayout;
+  const threshold = Math.max(settings.minimumAmount || 0, MIN_WITHDRAWAL_AMOUNT);
+  const [{ balance }, today] = await Promise.all([
+    getSellerBalances(wallet.seller),
+    getWithdrawnToday(wallet.seller)
+  ]);
+  const capLeft = Math.max(getWithdrawalLimits().dailyAmountCap - today.total, 0);
+  const amount = Math.floor(Math.min(balance, capLeft) * 100) / 100;
+
+  if (amount < threshold) {
+    return { lastResult: 'below_threshold' };
+  }
+  try {
+    const { withdrawal, isDuplicate } = await createWithdrawal(wallet.seller, {
+      amount,
+      payoutAccountId: settings.payoutAccount,
+      source: 'auto',
+      // One request per cycle, even if the run is retried
+      idempotencyKey: `auto:${cycleAt.toISOString()}`
+    });
+    if (isDuplicate) return { lastResult: 'created', lastWithdrawal: withdrawal._id };
+    const seller = await Seller.findById(wallet.seller).select('businessName email');
+    await notifyAutoPayout(withdrawal, seller);
+    return { lastResult: 'created', lastWithdrawal: withdrawal._id };
+  } catch (error) {
+    if (!error.statusCode || error.statusCode >= 500) throw error;
+    // Seller-side problems (e.g. unverified payout account) wait for the next cycle
+    return { lastResult: 'failed', lastError: error.message };
+  }
+};
+
+/**
+ * Create withdrawal requests for every wallet whose auto-payout is due.
+ * Each wallet is claimed by moving its nextRunAt forward, so overlapping runs skip it.
+ * @returns {Promise<Number>} Withdrawal requests created
+ */
+const runDueAutoPayouts = async () => {
+  const now = new Date();
+  const due = await Wallet.find({
+    'autoPayout.enabled': true,
+    'autoPayout.nextRunAt': { $lte: now }
+  }).select('seller autoPayout');
+
+  let created = 0;
+  for (const wallet of due) {
+    const claimed = await Wallet.findOneAndUpdate(
+      { _id: wallet._id, 'autoPayout.enabled': true, 'autoPayout.nextRunAt': wallet.autoPayout.nextRunAt },
+      { $set: { 'autoPayout.nextRunAt': getNextAutoPayoutAt(wallet.autoPayout, now), 'autoPayout.lastRunAt': now } },
+      { new: true }
+    );
+    if (!claimed) continue;
+
+    let result;
+    try {
+      result = await runAutoPayout(claimed, wallet.autoPayout.nextRunAt);
+    } catch (error) {
+      console.error(`Auto-payout for seller ${claimed.seller} failed:`, error);
+      result = { lastResult: 'failed', lastError: 'Unexpected error; will retry next cycle' };
+    }
+    if (result.lastResult === 'created') created += 1;
+
+    await Wallet.updateOne(
+      { _id: claimed._id },
+      result.lastError
+        ? { $set: { 'autoPayout.lastResult': result.lastResult, 'autoPayout.lastError': result.lastError } }
+        : {
+          $set: {
+            'autoPayout.lastResult': result.lastResult,
+            ...(result.lastWithdrawal && { 'autoPayout.lastWithdrawal': result.lastWithdrawal })
+          },
+          $unset: { 'autoPayout.lastError': 1 }
+        }
+    );
+  }
+  if (created > 0) console.log(`Created ${created} auto-payout withdrawal requests`);
+  return created;
+};
+
+module.exports = {
+  getNextAutoPayoutAt,
+  runDueAutoPayouts
+};
@@ -0,0 +1,312 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const CheckoutSession = require('../models/CheckoutSession');
+const SellerProduct = require('../models/SellerProduct');
+const User = require('../models/User');
+const { findApplicableCoupon, evaluateCoupon, getCouponLineIndexes, discountedLines, couponError } = require('./coupons');
+const { loadActivePromotions, evaluatePromotions } = require('./promotions');
+const { roundMoney } = require('./format');
+
+const checkoutError = (message, statusCode = 400) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  error.type = 'CheckoutError';
+  return error;
+};
+
+// Pricing settings, read per call so they can be changed through the environment
+const getPricingConfig = () => ({
+  taxRate: parseFloat(process.env.CHECKOUT_TAX_RATE) || 0, // percent
+  freeShippingThreshold: parseFloat(process.env.FREE_SHIPPING_THRESHOLD) || 0, // per seller, 0 = never free
+  ttlMinutes: parseInt(process.env.CHECKOUT_SESSION_TTL_MINUTES) || 15
+});
+
+const getSigningSecret = () => process.env.CHECKOUT_SIGNING_SECRET || process.env.JWT_SECRET;
+
+// HMAC over everything order creation relies on, so a tampered quote is rejected
+const signQuote = (quote) => {
+  const payload = JSON.stringify({
+    id: String(quote._id),
+    user: String(quote.user),
+    lines: quote.lines.map(l => [String(l.sellerProduct), l.unitPrice, l.quantity]),
+    sellers: quote.sellers.map(s => [String(s.seller), s.totalPrice]),
+    coupon: quote.coupon ? String(quote.coupon) : null,
+    itemsPrice: quote.itemsPrice,
+    discount: quote.discount,
+    shippingPrice: quote.shippingPrice,
+    taxPrice: quote.taxPrice,
+    total: quote.total,
+    expiresAt: new Date(quote.expiresAt).toISOString()
+  });
+  return crypto.createHmac('sha256', getSigningSecret()).update(payload).digest('hex');
+};
+
+// Normalize the requested items, falling back to the user's saved cart
+const resolveRequestedItems = async (userId, items) => {
+  if (Array.isArray(items) && items.length > 0) return items;
+  const user = await User.findById(userId).select('cart');
+  return (user?.cart || []).map(item => ({
+    sellerProduct: item.sellerProduct,
+    quantity: item.quantity,
+    selectedVariants: item.selectedVariants
+  }));
+};
+
+// Build priced lines from SellerProduct listings; client prices are never read
+const priceLines = async (requested) => {
+  const lines = [];
+  for (const item of requested) {
+    const sellerProductId = String(item.sellerProduct || '');
+    if (!mongoose.Types.ObjectId.isValid(sellerProductId)) {
+      throw checkoutError(`Invalid seller product ID: ${sellerProductId}`);
+    }
+    const quantity = Number(item.quantity || 1);
+    if (!Number.isInteger(quantity) || quantity < 1) {
+      throw checkoutError(`Invalid quantity for seller product ${sellerProductId}`);
+    }
+
+    const sellerProduct = await SellerProduct.findById(sellerProductId).populate('product');
+    if (!sellerProduct || !sellerProduct.isListed || !sellerProduct.product || sellerProduct.product.isActive === false) {
+      throw checkoutError(`Product is no longer available: ${sellerProductId}`);
+    }
+
+    const product = sellerProduct.product;
+    lines.push({
+      seller: sellerProduct.seller,
+      sellerProduct: sellerProduct._id,
+      product: product._id,
+      name: product.name,
+      image: product.images && product.images[0] ? product.images[0].url : '',
+      sku: product.sku || '',
+      unitPrice: sellerProduct.sellerPrice,
+      quantity,
+      lineTotal: roundMoney(sellerProduct.sellerPrice * quantity),
+      selectedVariants: item.selectedVariants || {},
+      shippingCost: product.shippingInfo?.freeShipping ? 0 : (product.shippingInfo?.shippingCost || 0)
+    });
+  }
+  return lines;
+};
+
+// Split the cart by seller and total each seller's order. Lines carry their promotion and coupon
+// discounts; `freeShippingSellers` are the sellers whose shipping a coupon covers.
+const summarizeBySeller = (lines, freeShippingSellers, config) => {
+  const itemsPrice = roundMoney(lines.reduce((sum, l) => sum + l.lineTotal, 0));
+  const groups = new Map();
+  lines.forEach((line) => {
+    const key = String(line.seller);
+    if (!groups.has(key)) groups.set(key, { seller: line.seller, lines: [], promotionDiscount: 0, couponDiscount: 0 });
+    const group = groups.get(key);
+    group.lines.push(line);
+    group.promotionDiscount += line.promotionDiscount || 0;
+    group.couponDiscount += line.couponDiscount || 0;
+  });
+
+  const sellers = [];
+  for (const group of groups.values()) {
+    const sellerItems = roundMoney(group.lines.reduce((sum, l) => sum + l.lineTotal, 0));
+    const promotionDiscount = roundMoney(group.promotionDiscount);
+    const couponDiscount = roundMoney(group.couponDiscount);
+    const sellerDiscount = roundMoney(promotionDiscount + couponDiscount);
+
+    const baseShipping = roundMoney(group.lines.reduce((sum, l) => sum + l.shippingCost, 0));
+    const freeByThreshold = config.freeShippingThreshold > 0 && sellerItems >= config.freeShippingThreshold;
+    const freeByCoupon = freeShippingSellers.includes(String(group.seller));
+    const shippingPrice = freeByThreshold || freeByCoupon ? 0 : baseShipping;
+    const taxPrice = roundMoney((sellerItems - sellerDiscount) * config.taxRate / 100);
+
+    sellers.push({
+      seller: group.seller,
+      itemsPrice: sellerItems,
+      discount: sellerDiscount,
+      promotionDiscount,
+      couponDiscount,
+      shippingDiscount: freeByCoupon && !freeByThreshold ? baseShipping : 0,
+      shippingPrice,
+      taxPrice,
+      totalPrice: roundMoney(sellerItems - sellerDiscount + shippingPrice + taxPrice)
+    });
+  }
+  return { itemsPrice, sellers };
+};
+
+// One entry per promotion and seller, as kept on the quote and copied onto each seller's order
+const summarizePromotions = (lines, applied) => {
+  const entries = [];
+  for (const { promotion, lineDiscounts } of applied) {
+    const bySeller = new Map();
+    lines.forEach((line, index) => {
+      if (!lineDiscounts[index]) return;
+      const key = String(line.seller);
+      bySeller.set(key, { seller: line.seller, discount: (bySeller.get(key)?.discount || 0) + lineDiscounts[index] });
+    });
+    for (const { seller, discount } of bySeller.values()) {
+      entries.push({
+        promotion: promotion._id,
+        name: promotion.name,
+        type: promotion.type,
+        ownerType: promotion.ownerType,
+        funding: promotion.funding,
+        platformSharePercent: promotion.platformSharePercent,
+        seller,
+        discount: roundMoney(discount)
+      });
+    }
+  }
+  return entries;
+};
+
+/**
+ * Price a cart server-side without saving anything: automatic promotions first, then the
+ * coupon (if given) on what is left. A promotion that does not stack with coupons and discounts
+ * a line the coupon covers is dropped for the coupon, unless its priority is higher than the coupon's.
+ * @param {ObjectId} userId
+ * @param {Object} options
+ * @param {Array} [options.items] - Defaults to the user's cart
+ * @param {String} [options.couponCode]
+ * @returns {Promise<Object>} { config, lines, coupon, couponResult, promotions, itemsPrice, sellers,
+ *   discount, promotionDiscount, couponDiscount, shippingDiscount, shippingPrice, taxPrice, total }
+ */
+const priceCart = async (userId, { items, couponCode } = {}) => {
+  const config = getPricingConfig();
+  const requested = await resolveRequestedItems(userId, items);
+  if (requested.length === 0) {
+    throw checkoutError('Cart is empty');
+  }
+
+  const lines = await priceLines(requested);
+  const activePromotions = await loadActivePromotions();
+  let promotionResult = await evaluatePromotions(lines, { promotions: activePromotions });
+  let coupon = null;
+  let couponResult = null;
+  if (couponCode) {
+    coupon = await findApplicableCoupon(couponCode, userId);
+    // Only promotions discounting lines the coupon covers compete with it
+    const couponLines = await getCouponLineIndexes(coupon, lines);
+    const exclusive = promotionResult.applied.filter(a => !a.promotion.stacksWithCoupons &&
+      couponLines.some(index => a.lineDiscounts[index] > 0));
+    const winner = exclusive.find(a => a.promotion.priority > (coupon.priority || 0));
+    if (winner) {
+      throw couponError(`This coupon cannot be combined with the "${winner.promotion.name}" offer`);
+    }
+    if (exclusive.length > 0) {
+      promotionResult = await evaluatePromotions(lines, {
+        promotions: activePromotions,
+        exclude: exclusive.map(a => a.promotion._id)
+      });
+    }
+    couponResult = await evaluateCoupon(coupon, discountedLines(lines, promotionResult.lineDiscounts));
+  }
+
+  const pricedLines = lines.map((line, index) => ({
+    ...line,
+    promotionDiscount: promotionResult.lineDiscounts[index],
+    couponDiscount: couponResult ? couponResult.lineDiscounts[index] : 0,
+    // Promotions that discounted this line, for display
+    appliedPromotions: promotionResult.applied
+      .filter(a => a.lineDiscounts[index] > 0)
+      .map(a => ({ promotion: a.promotion._id, name: a.promotion.name, type: a.promotion.type, discount: a.lineDiscounts[index] }))
+  }));
+  const { itemsPrice, sellers } = summarizeBySeller(
+    pricedLines,
+    couponResult ? couponResult.freeShippingSellers : [],
+    config
+  );
+  const sum = (field) => roundMoney(sellers.reduce((total, s) => total + s[field], 0));
+  return {
+    config,
+    lines: pricedLines,
+    coupon,
+    couponResult,
+    promotions: summarizePromotions(lines, promotionResult.applied),
+    itemsPrice,
+    sellers,
+    discount: sum('discount'),
+    promotionDiscount: sum('promotionDiscount'),
+    couponDiscount: sum('couponDiscount'),
+    shippingDiscount: sum('shippingDiscount'),
+    shippingPrice: sum('shippingPrice'),
+    taxPrice: sum('taxPrice'),
+    total: sum('totalPrice')
+  };
+};
+
+/**
+ * Price a cart server-side and persist it as a signed, short-lived checkout quote.
+ * @param {ObjectId} userId
+ * @param {Object} options
+ * @param {Array<{sellerProduct: String, quantity: Number, selectedVariants?: Object}>} [options.items] - Defaults to the user's cart
+ * @param {String} [options.couponCode]
+ * @returns {Promise<Document>} CheckoutSession
+ */
+const createCheckoutQuote = async (userId, { items, couponCode } = {}) => {
+  const {
+    config, lines, coupon, promotions, itemsPrice, sellers, discount, promotionDiscount, couponDiscount, shippingDiscount,
+    shippingPrice, taxPrice, total
+  } = await priceCart(userId, { items, couponCode });
+  const session = new CheckoutSession({
+    user: userId,
+    lines,
+    sellers,
+    coupon: coupon ? coupon._id : undefined,
+    couponCode: coupon ? coupon.code : undefined,
+    promotions,
+    itemsPrice,
+    discount,
+    promotionDiscount,
+    couponDiscount,
+    shippingDiscount,
+    shippingPrice,
+    taxPrice,
+    total,
+    expiresAt: new Date(Date.now() + config.ttlMinutes * 60 * 1000),
+    signature: 'pending'
+  });
+  session.signature = signQuote(session);
+  await session.save();
+  return session;
+};
+
+// Load an open quote for this user and check it is unexpired and untampered
+const loadCheckoutQuote = async (sessionId, userId) => {
+  if (!sessionId || !mongoose.Types.ObjectId.isValid(String(sessionId))) {
+    throw checkoutError('Invalid checkout session ID');
+  }
+  const session = await CheckoutSession.findById(sessionId);
+  if (!session || String(session.user) !== String(userId)) {
+    throw checkoutError('Checkout session not found', 404);
+  }
+  if (session.status !== 'open') {
+    throw checkoutError('Checkout session has already been used', 409);
+  }
+  if (session.expiresAt < new Date()) {
+    throw checkoutError('Checkout session has expired, please review your cart again', 410);
+  }
+  const expected = Buffer.from(signQuote(session));
+  const actual = Buffer.from(session.signature);
+  if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+    throw checkoutError('Checkout session signature mismatch');
+  }
+  return session;
+};
+
+// Mark a quote as used inside the order transaction; fails if another request got there first
+const consumeCheckoutQuote = async (sessionId, dbSession) => {
+  const consumed = await CheckoutSession.findOneAndUpdate(
+    { _id: sessionId, status: 'open' },
+    { $set: { status: 'consumed' } },
+    { new: true, session: dbSession }
+  );
+  if (!consumed) {
+    throw checkoutError('Checkout session has already been used', 409);
+  }
+  return consumed;
+};
+
+module.exports = {
+  priceCart,
+  createCheckoutQuote,
+  loadCheckoutQuote,
+  consumeCheckoutQuote,
+  checkoutError
+};
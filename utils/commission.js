@@ -0,0 +1,140 @@
+const Category = require('../models/Category');
+const CommissionRule = require('../models/CommissionRule');
+const Product = require('../models/Product');
+const Seller = require('../models/Seller');
+const { roundMoney } = require('./format');
+
+// Used when no default rule has been configured
+const getFallbackRate = () => {
+  const rate = parseFloat(process.env.DEFAULT_COMMISSION_RATE);
+  return Number.isFinite(rate) ? rate : 10; // percent
+};
+
+// Rules in effect at a point in time, newest first so the latest rule of a target wins
+const loadRulesInEffect = (at) => CommissionRule.find({
+  isActive: true,
+  effectiveFrom: { $lte: at },
+  $or: [{ effectiveTo: null }, { effectiveTo: { $gt: at } }]
+}).sort({ effectiveFrom: -1, createdAt: -1 }).lean();
+
+// Category and its ancestors, deepest first. `cache` maps category id -> parent id.
+const getCategoryChain = async (categoryId, cache) => {
+  const chain = [];
+  let current = categoryId ? String(categoryId) : null;
+  while (current && !chain.includes(current)) {
+    chain.push(current);
+    if (!cache.has(current)) {
+      const category = await Category.findById(current).select('parentCategory').lean();
+      cache.set(current, category?.parentCategory ? String(category.parentCategory) : null);
+    }
+    current = cache.get(current);
+  }
+  return chain;
+};
+
+/**
+ * Pick the rule for one order line from the rules in effect.
+ * @param {Array} rules - From loadRulesInEffect
+ * @param {Object} target
+ * @param {ObjectId} target.sellerId
+ * @param {String} [target.plan] - Seller's commission plan
+ * @param {Array<String>} [target.categoryChain] - Line's categories, deepest first
+ * @returns {Object|null} Matching rule, or null for the fallback rate
+ */
+const resolveCommissionRule = (rules, { sellerId, plan, categoryChain = [] }) => {
+  const sellerRule = rules.find(r => r.scope === 'seller' && String(r.seller) === String(sellerId));
+  if (sellerRule) return sellerRule;
+  for (const categoryId of categoryChain) {
+    const categoryRule = rules.find(r => r.scope === 'category' && String(r.category) === categoryId);
+    if (categoryRule) return categoryRule;
+  }
+  const planRule = plan && rules.find(r => r.scope === 'plan' && r.plan === String(plan).toLowerCase());
+  if (planRule) return planRule;
+  return rules.find(r => r.scope === 'default') || null;
+};
+
+// Snapshot fields for a rule (or the fallback rate) applied to a line amount
+const applyRule = (rule, base) => {
+  const percentage = rule ? rule.percentage : getFallbackRate();
+  const fixedFee = rule ? rule.fixedFee : 0;
+  return {
+    rule: rule?._id,
+    ruleName: rule ? rule.name : 'Platform default',
+    scope: rule ? rule.scope : 'default',
+    percentage,
+    fixedFee,
+    base: roundMoney(base),
+    // Never more than the line itself brought in
+    amount: roundMoney(Math.min(base * percentage / 100 + fixedFee, base))
+  };
+};
+
+// Part of an order's coupon and promotion discounts that the platform pays for
+const getPlatformFundedDiscount = (order) => roundMoney(
+  (order.couponFunding?.platformAmount || 0) +
+  (order.promotions || []).reduce((sum, promotion) => sum + (promotion.platformAmount || 0), 0)
+);
+
+// What the seller is paid on: the order total plus the discount the platform funds
+const getCommissionBase = (order) => roundMoney((order.totalPrice || 0) + getPlatformFundedDiscount(order));
+
+/**
+ * Work out an order's commission per line from the rules in effect when it was placed.
+ * Line amounts are the commission base spread over items by value, so they add up to it.
+ * Does not save the order.
+ * @param {Document} order
+ * @returns {Promise<Object>} commissionSnapshot: { calculatedAt, ruleDate, lines, total }
+ */
+const buildCommissionSnapshot = async (order) => {
+  const ruleDate = order.createdAt || new Date();
+  const [rules, seller] = await Promise.all([
+    loadRulesInEffect(ruleDate),
+    Seller.findById(order.seller).select('commissionPlan').lean()
+  ]);
+
+  const items = order.orderItems || [];
+  const productIds = items.map(item => item.product);
+  const products = await Product.find({ _id: { $in: productIds } }).select('category subCategory').lean();
+  const productById = new Map(products.map(p => [String(p._id), p]));
+
+  const itemsTotal = items.reduce((sum, item) => sum + item.price * item.quantity, 0);
+  const parentCache = new Map();
+  const lines = [];
+  const orderBase = getCommissionBase(order);
+  let baseLeft = orderBase;
+  for (const [index, item] of items.entries()) {
+    // The last line absorbs rounding so line bases add up to the commission base
+    const base = index === items.length - 1
+      ? roundMoney(baseLeft)
+      : roundMoney(itemsTotal > 0 ? orderBase * (item.price * item.quantity) / itemsTotal : 0);
+    baseLeft -= base;
+
+    const product = productById.get(String(item.product));
+    const categoryChain = [
+      ...await getCategoryChain(product?.subCategory, parentCache),
+      ...await getCategoryChain(product?.category, parentCache)
+    ];
+    const rule = resolveCommissionRule(rules, {
+      sellerId: order.seller,
+      plan: seller?.commissionPlan,
+      categoryChain: [...new Set(categoryChain)]
+    });
+    lines.push({ orderItem: item._id, ...applyRule(rule, base) });
+  }
+
+  return {
+    calculatedAt: new Date(),
+    ruleDate,
+    lines,
+    total: roundMoney(lines.reduce((sum, line) => sum + line.amount, 0))
+  };
+};
+
+module.exports = {
+  buildCommissionSnapshot,
+  getCommissionBase,
+  getPlatformFundedDiscount,
+  resolveCommissionRule,
+  loadRulesInEffect,
+  getCategoryChain
+};
@@ -0,0 +1,170 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const Coupon = require('../models/Coupon');
+const CouponCampaign = require('../models/CouponCampaign');
+const CouponRedemption = require('../models/CouponRedemption');
+const { couponError, getUsageCount } = require('./coupons');
+const { csvCell, roundMoney } = require('./format');
+
+const MAX_CODES_PER_CAMPAIGN = 10000;
+const INSERT_BATCH_SIZE = 1000;
+const MAX_ATTEMPTS = 5;
+
+// No 0/O or 1/I, so codes can be read out and typed without mistakes
+const CODE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+const CODE_LENGTH = 8;
+
+const generateCode = (prefix) => {
+  let suffix = '';
+  for (let i = 0; i < CODE_LENGTH; i += 1) {
+    suffix += CODE_ALPHABET[crypto.randomInt(CODE_ALPHABET.length)];
+  }
+  return `${prefix}-${suffix}`;
+};
+
+// Coupon fields for a campaign code: the campaign's rules, single use
+const codeFields = (campaign) => ({
+  ...campaign.toObject().rules,
+  description: campaign.description || campaign.name,
+  ownerType: campaign.ownerType,
+  vendor: campaign.vendor,
+  campaign: campaign._id,
+  usageLimit: 1,
+  perUserLimit: 1,
+  createdBy: campaign.createdBy
+});
+
+// Insert `count` new unique codes in batches. Codes that collide with existing ones are drawn
+// again; gives up after MAX_ATTEMPTS short batches so a crowded prefix cannot loop forever.
+const issueCodes = async (campaign, count) => {
+  const fields = codeFields(campaign);
+  let issued = 0;
+  let shortBatches = 0;
+  while (issued < count && shortBatches < MAX_ATTEMPTS) {
+    const size = Math.min(INSERT_BATCH_SIZE, count - issued);
+    const batch = new Set();
+    while (batch.size < size) batch.add(generateCode(campaign.codePrefix));
+    const taken = new Set(await Coupon.find({ code: { $in: [...batch] } }).distinct('code'));
+    const docs = [...batch].filter(code => !taken.has(code)).map(code => ({ ...fields, code }));
+
+    let inserted;
+    try {
+      inserted = (await Coupon.insertMany(docs, { ordered: false })).length;
+    } catch (error) {
+      // Only duplicate codes from a concurrent insert are expected; anything else is a real failure
+      const writeErrors = error.writeErrors || [];
+      if (writeErrors.length === 0 || writeErrors.some(e => (e.code ?? e.err?.code) !== 11000)) throw error;
+      inserted = docs.length - writeErrors.length;
+    }
+    if (inserted < size) shortBatches += 1;
+    issued += inserted;
+  }
+  return issued;
+};
+
+/**
+ * Create a campaign and generate its single-use codes.
+ * @param {Object} input
+ * @param {String} input.name
+ * @param {String} [input.description]
+ * @param {String} input.codePrefix
+ * @param {Number} input.count - 1 to MAX_CODES_PER_CAMPAIGN
+ * @param {Object} input.rules - Coupon rule fields (type, discount, expiry, ...)
+ * @param {String} input.ownerType - 'platform' or 'seller'
+ * @param {ObjectId} [input.vendor] - Owning seller for seller campaigns
+ * @param {ObjectId} [input.createdBy]
+ * @returns {Promise<Document>} CouponCampaign with codesIssued set
+ */
+const createCampaign = async ({ name, description, codePrefix, count, rules = {}, ownerType, vendor, createdBy }) => {
+  count = Number(count);
+  if (!Number.isInteger(count) || count < 1 || count > MAX_CODES_PER_CAMPAIGN) {
+    throw couponError(`count must be a whole number from 1 to ${MAX_CODES_PER_CAMPAIGN}`);
+  }
+
+  const campaign = new CouponCampaign({ name, description, codePrefix, rules, ownerType, vendor, createdBy });
+  try {
+    await campaign.validate();
+    // Check the rules once as a coupon so bad input fails before anything is generated
+    await new Coupon({ ...codeFields(campaign), code: `${campaign.codePrefix}-CHECK` }).validate();
+  } catch (error) {
+    throw couponError(error.message);
+  }
+  await campaign.save();
+
+  try {
+    await issueCodes(campaign, count);
+  } finally {
+    // Counted from the codes themselves, so a failed run still records what was generated
+    campaign.codesIssued = await Coupon.countDocuments({ campaign: campaign._id });
+    await campaign.save();
+  }
+  if (campaign.codesIssued < count) {
+    console.warn(`Campaign ${campaign._id}: issued ${campaign.codesIssued} of ${count} codes`);
+  }
+  return campaign;
+};
+
+/**
+ * Redemption figures for a campaign. Released redemptions (orders cancelled before payment) are not counted.
+ * @param {Document} campaign
+ * @returns {Promise<Object>} { issued, redeemed, codesRedeemed, released, discountGiven, revenue, redemptionRate }
+ */
+const getCampaignStats = async (campaign) => {
+  const campaignId = new mongoose.Types.ObjectId(String(campaign._id));
+  const [issued, byStatus] = await Promise.all([
+    Coupon.countDocuments({ campaign: campaignId }),
+    CouponRedemption.aggregate([
+      { $match: { campaign: campaignId } },
+      {
+        $group: {
+          _id: '$status',
+          count: { $sum: 1 },
+          codes: { $addToSet: '$coupon' },
+          discount: { $sum: { $add: ['$amount', { $ifNull: ['$shippingDiscount', 0] }] } },
+          revenue: { $sum: { $ifNull: ['$orderTotal', 0] } }
+        }
+      }
+    ])
+  ]);
+  const redeemed = byStatus.find(s => s._id === 'redeemed');
+  const released = byStatus.find(s => s._id === 'released');
+  const codesRedeemed = redeemed ? redeemed.codes.length : 0;
+  return {
+    issued,
+    redeemed: redeemed?.count || 0,
+    codesRedeemed,
+    released: released?.count || 0,
+    discountGiven: roundMoney(redeemed?.discount || 0),
+    revenue: roundMoney(redeemed?.revenue || 0),
+    redemptionRate: issued > 0 ? roundMoney(codesRedeemed / issued * 100) : 0 // percent
+  };
+};
+
+const codeStatus = (coupon, campaign, now) => {
+  if (coupon.usageLimit && getUsageCount(coupon) >= coupon.usageLimit) return 'redeemed';
+  if (!coupon.isActive) return 'inactive';
+  if (coupon.expiry < now) return 'expired';
+  return campaign.status === 'paused' ? 'paused' : 'available';
+};
+
+// One row per code of the campaign
+const renderCampaignCsv = (campaign, coupons) => {
+  const now = new Date();
+  const rows = [
+    ['Code', 'Status', 'Campaign', 'Expiry'],
+    ...coupons.map(coupon => [
+      coupon.code,
+      codeStatus(coupon, campaign, now),
+      campaign.name,
+      new Date(coupon.expiry).toISOString().slice(0, 10)
+    ])
+  ];
+  return rows.map(row => row.map(csvCell).join(',')).join('\n') + '\n';
+};
+
+module.exports = {
+  MAX_CODES_PER_CAMPAIGN,
+  createCampaign,
+  getCampaignStats,
+  renderCampaignCsv
+};
@@ -0,0 +1,334 @@
+const Coupon = require('../models/Coupon');
+const CouponCampaign = require('../models/CouponCampaign');
+const CouponRedemption = require('../models/CouponRedemption');
+const Order = require('../models/Order');
+const Product = require('../models/Product');
+const { getCategoryChain } = require('./commission');
+const { roundMoney } = require('./format');
+
+const couponError = (message, statusCode = 400) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  error.type = 'CouponError';
+  return error;
+};
+
+// Redemptions so far; coupons from before usedCount only have usedBy
+const getUsageCount = (coupon) => Math.max(coupon.usedCount || 0, (coupon.usedBy || []).length);
+
+const getUserUsageCount = (coupon, userId) =>
+  (coupon.usedBy || []).filter(id => String(id) === String(userId)).length;
+
+// Look up a coupon code and check it can still be used by this user
+const findApplicableCoupon = async (code, userId) => {
+  const coupon = await Coupon.findOne({ code: String(code || '').toUpperCase(), isActive: true });
+  if (!coupon) {
+    throw couponError('Invalid or expired coupon', 404);
+  }
+  const now = new Date();
+  if (coupon.startsAt && coupon.startsAt > now) {
+    throw couponError('Coupon is not active yet');
+  }
+  if (coupon.expiry < now) {
+    throw couponError('Coupon expired');
+  }
+  if (coupon.campaign && await CouponCampaign.exists({ _id: coupon.campaign, status: 'paused' })) {
+    throw couponError('Coupon is currently paused');
+  }
+  if (coupon.usageLimit && getUsageCount(coupon) >= coupon.usageLimit) {
+    throw couponError('Coupon usage limit reached');
+  }
+  if (userId && coupon.perUserLimit && getUserUsageCount(coupon, userId) >= coupon.perUserLimit) {
+    throw couponError(coupon.perUserLimit === 1
+      ? 'You have already used this coupon'
+      : 'You have reached the usage limit for this coupon');
+  }
+  return coupon;
+};
+
+// Categories of each line's product (with parent categories), for category-scoped coupons
+const loadLineCategories = async (lines) => {
+  const products = await Product.find({ _id: { $in: lines.map(l => l.product) } })
+    .select('category subCategory')
+    .lean();
+  const productById = new Map(products.map(p => [String(p._id), p]));
+  const parentCache = new Map();
+  const chains = [];
+  for (const line of lines) {
+    const product = productById.get(String(line.product));
+    chains.push(new Set([
+      ...await getCategoryChain(product?.subCategory, parentCache),
+      ...await getCategoryChain(product?.category, parentCache)
+    ]));
+  }
+  return chains;
+};
+
+const includesId = (ids, id) => ids.some(other => String(other) === String(id));
+
+// Whether a cart line is covered by the coupon's owner and scoping
+const isLineEligible = (coupon, line, categoryChain) => {
+  if (coupon.ownerType !== 'platform' && String(line.seller) !== String(coupon.vendor)) return false;
+  if (coupon.sellers?.length && !includesId(coupon.sellers, line.seller)) return false;
+  if (coupon.products?.length && !includesId(coupon.products, line.product)) return false;
+  if (coupon.categories?.length && !coupon.categories.some(id => categoryChain.has(String(id)))) return false;
+  return true;
+};
+
+// Spread an amount over lines in proportion to their totals; the last line absorbs rounding
+const spreadOverLines = (amount, lines) => {
+  const total = lines.reduce((sum, l) => sum + l.lineTotal, 0);
+  let left = roundMoney(amount);
+  return lines.map((line, index) => {
+    const share = index === lines.length - 1
+      ? left
+      : roundMoney(total > 0 ? amount * line.lineTotal / total : 0);
+    left = roundMoney(left - share);
+    return share;
+  });
+};
+
+// Buy X get Y: in every group of X + Y eligible units, the cheapest Y are discounted
+const buyXGetYDiscounts = (coupon, lines) => {
+  const units = [];
+  lines.forEach((line, index) => {
+    for (let i = 0; i < line.quantity; i += 1) units.push({ index, price: line.unitPrice });
+  });
+  const groupSize = coupon.buyQuantity + coupon.getQuantity;
+  const freeUnits = Math.floor(units.length / groupSize) * coupon.getQuantity;
+  const discounts = lines.map(() => 0);
+  units.sort((a, b) => a.price - b.price).slice(0, freeUnits).forEach(unit => {
+    discounts[unit.index] += unit.price * (coupon.getDiscountPercent || 100) / 100;
+  });
+  return discounts.map(roundMoney);
+};
+
+// Lines as priced after promotions, for evaluating a coupon on top of them
+const discountedLines = (lines, lineDiscounts) => lines.map((line, index) => {
+  const plain = typeof line.toObject === 'function' ? line.toObject() : line;
+  const lineTotal = roundMoney(plain.lineTotal - (lineDiscounts[index] || 0));
+  return { ...plain, lineTotal, unitPrice: roundMoney(lineTotal / plain.quantity) };
+});
+
+// Indexes of the cart lines a coupon's owner and scoping cover
+const getCouponLineIndexes = async (coupon, lines) => {
+  const chains = await loadLineCategories(lines);
+  return lines
+    .map((line, index) => (isLineEligible(coupon, line, chains[index]) ? index : -1))
+    .filter(index => index >= 0);
+};
+
+/**
+ * Work out what a coupon takes off a priced cart.
+ * @param {Document} coupon - From findApplicableCoupon
+ * @param {Array} lines - Priced lines: { seller, product, unitPrice, quantity, lineTotal }
+ * @returns {Promise<Object>} { discount, lineDiscounts (aligned with lines), freeShippingSellers, eligibleSubtotal }
+ */
+const evaluateCoupon = async (coupon, lines) => {
+  const eligibleIndexes = await getCouponLineIndexes(coupon, lines);
+  if (eligibleIndexes.length === 0) {
+    throw couponError('Coupon does not apply to any item in your cart');
+  }
+
+  const eligible = eligibleIndexes.map(index => lines[index]);
+  const eligibleSubtotal = roundMoney(eligible.reduce((sum, l) => sum + l.lineTotal, 0));
+  if (eligibleSubtotal < (coupon.minOrderValue || 0)) {
+    throw couponError(`Add items worth ₹${roundMoney(coupon.minOrderValue - eligibleSubtotal)} more to use this coupon`);
+  }
+
+  let eligibleDiscounts = eligible.map(() => 0);
+  if (coupon.type === 'percentage') {
+    let amount = eligibleSubtotal * coupon.discount / 100;
+    if (coupon.maxDiscount) amount = Math.min(amount, coupon.maxDiscount);
+    eligibleDiscounts = spreadOverLines(amount, eligible);
+  } else if (coupon.type === 'flat') {
+    eligibleDiscounts = spreadOverLines(Math.min(coupon.discount, eligibleSubtotal), eligible);
+  } else if (coupon.type === 'buy_x_get_y') {
+    eligibleDiscounts = buyXGetYDiscounts(coupon, eligible);
+    if (eligibleDiscounts.every(amount => amount === 0)) {
+      throw couponError(`Add ${coupon.buyQuantity + coupon.getQuantity} eligible items to use this coupon`);
+    }
+  }
+
+  const lineDiscounts = lines.map(() => 0);
+  eligibleIndexes.forEach((lineIndex, i) => {
+    lineDiscounts[lineIndex] = eligibleDiscounts[i];
+  });
+  const freeShippingSellers = coupon.type === 'free_shipping'
+    ? [...new Set(eligible.map(l => String(l.seller)))]
+    : [];
+
+  return {
+    discount: roundMoney(lineDiscounts.reduce((sum, d) => sum + d, 0)),
+    lineDiscounts,
+    freeShippingSellers,
+    eligibleSubtotal
+  };
+};
+
+/**
+ * Split a coupon discount between the platform and the seller by the coupon's funding.
+ * @param {Document} coupon
+ * @param {Number} amount - Discount on one seller's order, including waived shipping
+ * @returns {Object} Order.couponFunding: { funding, platformSharePercent, platformAmount, sellerAmount }
+ */
+const splitCouponFunding = (coupon, amount) => {
+  // Coupons from before funding was recorded are paid by their owner
+  const funding = coupon.funding || (coupon.ownerType === 'platform' ? 'platform' : 'vendor');
+  const platformSharePercent = { platform: 100, vendor: 0 }[funding] ?? (coupon.platformSharePercent || 0);
+  const platformAmount = roundMoney((amount || 0) * platformSharePercent / 100);
+  return {
+    funding,
+    platformSharePercent,
+    platformAmount,
+    sellerAmount: roundMoney((amount || 0) - platformAmount)
+  };
+};
+
+// Payment statuses after which a coupon use is never given back
+const PAID_STATUSES = ['paid', 'partially_refunded', 'refunded'];
+
+/**
+ * Redeem a checkout quote's coupon inside the order transaction: re-check it, recompute the
+ * discount from the quoted lines, then take one use with a guarded update so concurrent
+ * checkouts can never go past usageLimit or perUserLimit.
+ * @param {Document} quote - CheckoutSession being turned into orders
+ * @param {Object} options
+ * @param {ObjectId} options.userId
+ * @param {Document} options.orderGroup
+ * @param {ClientSession} options.session
+ * @returns {Promise<Document|null>} CouponRedemption, or null when the quote has no coupon
+ */
+const redeemCoupon = async (quote, { userId, orderGroup, session }) => {
+  if (!quote.coupon) return null;
+
+  const coupon = await findApplicableCoupon(quote.couponCode, userId);
+  if (String(coupon._id) !== String(quote.coupon)) {
+    throw couponError('Coupon has changed, please review your cart again', 409);
+  }
+  // The coupon applies to what is left after the quote's promotions
+  const lines = discountedLines(quote.lines, quote.lines.map(line => line.promotionDiscount || 0));
+  const { discount } = await evaluateCoupon(coupon, lines);
+  if (discount !== roundMoney(quote.couponDiscount ?? quote.discount ?? 0)) {
+    throw couponError('Coupon discount has changed, please review your cart again', 409);
+  }
+
+  const taken = await Coupon.findOneAndUpdate(
+    {
+      _id: coupon._id,
+      isActive: true,
+      $and: [
+        {
+          $or: [
+            { usageLimit: { $in: [0, null] } },
+            { $expr: { $lt: [{ $max: ['$usedCount', { $size: { $ifNull: ['$usedBy', []] } }] }, '$usageLimit'] } }
+          ]
+        },
+        {
+          $or: [
+            { perUserLimit: { $in: [0, null] } },
+            {
+              $expr: {
+                $lt: [
+                  { $size: { $filter: { input: { $ifNull: ['$usedBy', []] }, cond: { $eq: ['$$this', userId] } } } },
+                  '$perUserLimit'
+                ]
+              }
+            }
+          ]
+        }
+      ]
+    },
+    { $inc: { usedCount: 1 }, $push: { usedBy: userId } },
+    { session, new: true }
+  );
+  if (!taken) {
+    throw couponError('Coupon usage limit reached', 409);
+  }
+
+  const [redemption] = await CouponRedemption.create([{
+    coupon: coupon._id,
+    couponCode: coupon.code,
+    campaign: coupon.campaign,
+    user: userId,
+    orderGroup: orderGroup._id,
+    orders: orderGroup.orders,
+    checkoutSession: quote._id,
+    amount: discount,
+    shippingDiscount: roundMoney(quote.shippingDiscount || 0),
+    orderTotal: roundMoney(quote.total || 0)
+  }], { session });
+  return redemption;
+};
+
+/**
+ * Give a coupon use back once every order of the checkout has been cancelled before payment.
+ * Safe to call repeatedly: only the first call releases.
+ * @param {Document} order - A cancelled order, saved or about to be
+ * @param {Object} [options]
+ * @param {String} [options.reason]
+ * @returns {Promise<Boolean>} Whether the redemption was released
+ */
+const releaseCouponRedemption = async (order, { reason = 'Order cancelled before payment' } = {}) => {
+  if (!order.coupon || !order.orderGroup) return false;
+  if (order.orderStatus !== 'cancelled' || PAID_STATUSES.includes(order.paymentStatus)) return false;
+
+  // The coupon still counts while another order of the checkout is going ahead or was paid
+  const stillUsed = await Order.exists({
+    orderGroup: order.orderGroup,
+    _id: { $ne: order._id },
+    $or: [{ orderStatus: { $ne: 'cancelled' } }, { paymentStatus: { $in: PAID_STATUSES } }]
+  });
+  if (stillUsed) return false;
+
+  const redemption = await CouponRedemption.findOneAndUpdate(
+    { orderGroup: order.orderGroup, status: 'redeemed' },
+    { $set: { status: 'released', releasedAt: new Date(), releaseReason: reason } },
+    { new: true }
+  );
+  if (!redemption) return false;
+
+  // Remove one usedBy entry for this user (there is one per redemption) and step usedCount back
+  await Coupon.updateOne({ _id: redemption.coupon }, [{
+    $set: {
+      usedCount: { $max: [{ $subtract: ['$usedCount', 1] }, 0] },
+      usedBy: {
+        $let: {
+          vars: { usedBy: { $ifNull: ['$usedBy', []] } },
+          in: {
+            $let: {
+              vars: { i: { $indexOfArray: ['$$usedBy', redemption.user] } },
+              in: {
+                $cond: [
+                  { $lt: ['$$i', 0] },
+                  '$$usedBy',
+                  {
+                    $concatArrays: [
+                      { $slice: ['$$usedBy', '$$i'] },
+                      { $slice: ['$$usedBy', { $add: ['$$i', 1] }, { $max: [{ $size: '$$usedBy' }, 1] }] }
+                    ]
+                  }
+                ]
+              }
+            }
+          }
+        }
+      }
+    }
+  }]);
+  return true;
+};
+
+module.exports = {
+  findApplicableCoupon,
+  evaluateCoupon,
+  getCouponLineIndexes,
+  discountedLines,
+  splitCouponFunding,
+  loadLineCategories,
+  spreadOverLines,
+  redeemCoupon,
+  releaseCouponRedemption,
+  getUsageCount,
+  couponError
+};
@@ -0,0 +1,66 @@
+const { recordOrderEarning } = require('./ledger');
+const { buildCommissionSnapshot, getCommissionBase } = require('./commission');
+const { scheduleSettlement } = require('./settlement');
+const { isOrderPaid } = require('./orderStateMachine');
+const { debitEarlierRefunds } = require('./refunds');
+const { roundMoney } = require('./format');
+
+/**
+ * Commission and seller share of an order. Uses the order's commission snapshot, taking one
+ * (from the rules in effect when it was placed) if it has none; orders credited before
+ * commission rules keep their stored values. A platform-funded coupon discount is paid back to
+ * the seller on top of the order total. Does not save the order.
+ * @param {Document} order
+ * @returns {Promise<{commission: Number, sellerEarnings: Number}>}
+ */
+const getOrderEarnings = async (order) => {
+  if (!order.commissionSnapshot?.lines?.length) {
+    if (order.isEarningsCredited && order.commission > 0) {
+      return { commission: order.commission, sellerEarnings: order.sellerEarnings };
+    }
+    order.commissionSnapshot = await buildCommissionSnapshot(order);
+  }
+  const commission = roundMoney(order.commissionSnapshot.total || 0);
+  return { commission, sellerEarnings: roundMoney(getCommissionBase(order) - commission) };
+};
+
+/**
+ * Credit a delivered order's earnings to its seller through the ledger, once. The earnings are
+ * held as pending settlement until the return window ends (see utils/settlement.js). Orders whose
+ * payment was never collected earn nothing.
+ * Sets commission, sellerEarnings, isEarningsCredited and settlement on the order; the caller saves it.
+ * Failures are logged and left for the admin resync so they never block the status update.
+ * @param {Document} order
+ * @returns {Promise<Boolean>} Whether earnings were credited by this call
+ */
+const creditOrderEarnings = async (order) => {
+  if (order.isEarningsCredited) return false;
+  if (!isOrderPaid(order)) {
+    console.warn(`Earnings not credited for unpaid order ${order._id}`);
+    return false;
+  }
+
+  try {
+    const { commission, sellerEarnings } = await getOrderEarnings(order);
+    order.commission = commission;
+    order.sellerEarnings = sellerEarnings;
+
+    // Keyed by order, so a retry after a failed save does not credit twice
+    await recordOrderEarning(order);
+    order.isEarningsCredited = true;
+    scheduleSettlement(order);
+    // Refunds made before delivery come out of the earnings just credited
+    await debitEarlierRefunds(order);
+
+    console.log(`Earnings credited for order ${order._id}: ₹${sellerEarnings}`);
+    return true;
+  } catch (error) {
+    console.error('Error crediting earnings:', error);
+    return false;
+  }
+};
+
+module.exports = {
+  getOrderEarnings,
+  creditOrderEarnings
+};
@@ -0,0 +1,14 @@
+// Round a rupee amount to paise
+const roundMoney = (value) => Math.round(value * 100) / 100;
+
+// One CSV field, quoted when it holds a quote, comma or line break
+const csvCell = (value) => {
+  if (value === null || value === undefined) return '';
+  const text = String(value);
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+module.exports = {
+  roundMoney,
+  csvCell
+};
@@ -0,0 +1,385 @@
+const mongoose = require('mongoose');
+const LedgerEntry = require('../models/LedgerEntry');
+const Wallet = require('../models/Wallet');
+const { getPlatformFundedDiscount } = require('./commission');
+const { roundMoney } = require('./format');
+
+const debit = (account, amount) => ({ account, debit: roundMoney(amount), credit: 0 });
+const credit = (account, amount) => ({ account, debit: 0, credit: roundMoney(amount) });
+
+/**
+ * Post a journal entry. Idempotent on `key`: posting an event that is already in the
+ * ledger returns the existing entry. Refreshes the seller's wallet snapshot afterwards.
+ * @param {Object} entry - LedgerEntry fields (key, type, seller, description, postings, ...)
+ * @returns {Promise<{entry: Document, created: Boolean}>}
+ */
+const postEntry = async (entry) => {
+  const postings = entry.postings.filter(p => p.debit > 0 || p.credit > 0);
+  let created = true;
+  let saved;
+  try {
+    saved = await LedgerEntry.create({ ...entry, postings });
+  } catch (error) {
+    if (error.code !== 11000) throw error;
+    saved = await LedgerEntry.findOne({ key: entry.key });
+    created = false;
+  }
+  if (created) await refreshWallet(entry.seller);
+  return { entry: saved, created };
+};
+
+// Net (credit - debit) per seller account, derived from the ledger
+const getSellerBalances = async (sellerId) => {
+  const seller = new mongoose.Types.ObjectId(String(sellerId));
+  const [totals] = await LedgerEntry.aggregate([
+    { $match: { seller } },
+    { $unwind: '$postings' },
+    {
+      $group: {
+        _id: null,
+        payable: {
+          $sum: { $cond: [{ $eq: ['$postings.account', 'seller_payable'] }, { $subtract: ['$postings.credit', '$postings.debit'] }, 0] }
+        },
+        pending: {
+          $sum: { $cond: [{ $eq: ['$postings.account', 'seller_pending'] }, { $subtract: ['$postings.credit', '$postings.debit'] }, 0] }
+        },
+        inTransit: {
+          $sum: { $cond: [{ $eq: ['$postings.account', 'withdrawals_in_transit'] }, { $subtract: ['$postings.credit', '$postings.debit'] }, 0] }
+        },
+        earnings: {
+          $sum: {
+            $cond: [
+              {
+                $and: [
+                  { $in: ['$postings.account', ['seller_pending', 'seller_payable']] },
+                  { $in: ['$type', ['order_earning', 'refund_reversal', 'adjustment']] }
+                ]
+              },
+              { $subtract: ['$postings.credit', '$postings.debit'] },
+              0
+            ]
+          }
+        },
+        withdrawn: {
+          $sum: { $cond: [{ $eq: ['$postings.account', 'payouts'] }, { $subtract: ['$postings.credit', '$postings.debit'] }, 0] }
+        }
+      }
+    }
+  ]);
+  return {
+    balance: roundMoney(totals?.payable || 0),
+    pendingSettlement: roundMoney(totals?.pending || 0),
+    pendingWithdrawals: roundMoney(totals?.inTransit || 0),
+    totalEarnings: roundMoney(totals?.earnings || 0),
+    totalWithdrawn: roundMoney(totals?.withdrawn || 0)
+  };
+};
+
+// Rewrite the seller's Wallet snapshot from the ledger. The ledger is the source of truth;
+// the wallet only caches its totals for listing and sorting.
+const refreshWallet = async (sellerId) => {
+  const balances = await getSellerBalances(sellerId);
+  return Wallet.findOneAndUpdate(
+    { seller: sellerId },
+    // Wallets from before the ledger also carried an embedded transactions array
+    { $set: { seller: sellerId, ...balances }, $unset: { transactions: 1 } },
+    { new: true, upsert: true, setDefaultsOnInsert: true }
+  );
+};
+
+// Effect of an entry on the seller's available balance
+const payableEffect = (entry) => roundMoney(entry.postings
+  .filter(p => p.account === 'seller_payable')
+  .reduce((sum, p) => sum + p.credit - p.debit, 0));
+
+// Effect of an entry on the seller's earnings held for settlement
+const pendingEffect = (entry) => roundMoney(entry.postings
+  .filter(p => p.account === 'seller_pending')
+  .reduce((sum, p) => sum + p.credit - p.debit, 0));
+
+// Shape an entry as a wallet transaction line. `bucket` says whether it moved the available
+// balance or the earnings pending settlement; `balance` is the available balance after it.
+const toTransaction = (entry, balance) => {
+  const available = payableEffect(entry);
+  const bucket = available !== 0 ? 'available' : 'pending';
+  const amount = bucket === 'available' ? available : pendingEffect(entry);
+  return {
+    _id: entry._id,
+    type: amount >= 0 ? 'credit' : 'debit',
+    entryType: entry.type,
+    bucket,
+    amount: Math.abs(amount),
+    description: entry.description,
+    orderId: entry.order?._id || entry.order,
+    withdrawalId: entry.withdrawal?._id || entry.withdrawal,
+    order: entry.order,
+    withdrawal: entry.withdrawal,
+    balance,
+    postings: entry.postings,
+    createdAt: entry.createdAt
+  };
+};
+
+/**
+ * Page through a seller's ledger, newest first, with the available balance after each entry.
+ * @param {ObjectId} sellerId
+ * @param {Object} [options]
+ * @param {Number} [options.page=1]
+ * @param {Number} [options.limit=10]
+ * @param {Date} [options.from]
+ * @param {Date} [options.to]
+ * @returns {Promise<{transactions: Array, total: Number, page: Number, limit: Number, totalPages: Number}>}
+ */
+const getSellerLedger = async (sellerId, { page = 1, limit = 10, from, to } = {}) => {
+  const filter = { seller: new mongoose.Types.ObjectId(String(sellerId)) };
+  if (from || to) {
+    filter.createdAt = {};
+    if (from) filter.createdAt.$gte = from;
+    if (to) filter.createdAt.$lte = to;
+  }
+  const skip = (page - 1) * limit;
+  const sort = { createdAt: -1, _id: -1 };
+
+  const entries = await LedgerEntry.find(filter)
+    .sort(sort)
+    .skip(skip)
+    .limit(limit)
+    .populate('order', 'orderNumber totalPrice')
+    .populate('withdrawal', 'amount status reference')
+    .lean();
+  const total = await LedgerEntry.countDocuments(filter);
+
+  // Work back from the current balance: remove everything newer than the first row on this page
+  const transactions = [];
+  if (entries.length > 0) {
+    const first = entries[0];
+    const { balance: current } = await getSellerBalances(sellerId);
+    const [newer] = await LedgerEntry.aggregate([
+      {
+        $match: {
+          seller: filter.seller,
+          $or: [
+            { createdAt: { $gt: first.createdAt } },
+            { createdAt: first.createdAt, _id: { $gt: first._id } }
+          ]
+        }
+      },
+      { $unwind: '$postings' },
+      { $match: { 'postings.account': 'seller_payable' } },
+      { $group: { _id: null, net: { $sum: { $subtract: ['$postings.credit', '$postings.debit'] } } } }
+    ]);
+
+    let balance = roundMoney(current - (newer?.net || 0));
+    for (const entry of entries) {
+      transactions.push(toTransaction(entry, balance));
+      balance = roundMoney(balance - payableEffect(entry));
+    }
+  }
+
+  return {
+    transactions,
+    total,
+    page,
+    limit,
+    totalPages: Math.ceil(total / limit)
+  };
+};
+
+// Credited earnings this month and this year, from the ledger
+const getEarningsSummary = async (sellerId) => {
+  const now = new Date();
+  const thisMonth = new Date(now.getFullYear(), now.getMonth(), 1);
+  const thisYear = new Date(now.getFullYear(), 0, 1);
+  const seller = new mongoose.Types.ObjectId(String(sellerId));
+
+  const earnedSince = async (since) => {
+    const [result] = await LedgerEntry.aggregate([
+      { $match: { seller, type: 'order_earning', createdAt: { $gte: since } } },
+      { $unwind: '$postings' },
+      { $match: { 'postings.account': { $in: ['seller_pending', 'seller_payable'] } } },
+      { $group: { _id: null, total: { $sum: '$postings.credit' } } }
+    ]);
+    return roundMoney(result?.total || 0);
+  };
+
+  const balances = await getSellerBalances(sellerId);
+  return {
+    currentBalance: balances.balance,
+    pendingSettlement: balances.pendingSettlement,
+    totalEarnings: balances.totalEarnings,
+    totalWithdrawn: balances.totalWithdrawn,
+    pendingWithdrawals: balances.pendingWithdrawals,
+    monthlyEarnings: await earnedSince(thisMonth),
+    yearlyEarnings: await earnedSince(thisYear)
+  };
+};
+
+// Platform commission and gross sales from the ledger, with monthly totals for charts
+const getPlatformEarnings = async () => {
+  const net = (account, field) => ({
+    $sum: { $cond: [{ $eq: ['$postings.account', account] }, field, 0] }
+  });
+  const groupFields = {
+    commission: net('platform_commission', { $subtract: ['$postings.credit', '$postings.debit'] }),
+    sales: net('order_receipts', '$postings.debit')
+  };
+
+  const [totals] = await LedgerEntry.aggregate([
+    { $unwind: '$postings' },
+    { $group: { _id: null, ...groupFields } }
+  ]);
+  const monthly = await LedgerEntry.aggregate([
+    { $unwind: '$postings' },
+    { $group: { _id: { y: { $year: '$createdAt' }, m: { $month: '$createdAt' } }, ...groupFields } },
+    { $sort: { '_id.y': 1, '_id.m': 1 } },
+    { $limit: 12 }
+  ]);
+
+  return {
+    platformEarnings: roundMoney(totals?.commission || 0),
+    grossSales: roundMoney(totals?.sales || 0),
+    monthly
+  };
+};
+
+// Seller earnings of one order still held for settlement
+const getOrderPendingAmount = async (orderId) => {
+  const [result] = await LedgerEntry.aggregate([
+    { $match: { order: new mongoose.Types.ObjectId(String(orderId)) } },
+    { $unwind: '$postings' },
+    { $match: { 'postings.account': 'seller_pending' } },
+    { $group: { _id: null, net: { $sum: { $subtract: ['$postings.credit', '$postings.debit'] } } } }
+  ]);
+  return roundMoney(result?.net || 0);
+};
+
+// Order earnings: customer receipts split into the seller's share (held for settlement) and platform commission
+const recordOrderEarning = (order, { createdAt } = {}) => {
+  // The platform-funded part of coupon and promotion discounts is paid to the seller by the platform
+  const promotion = getPlatformFundedDiscount(order);
+  return postEntry({
+    key: `order:${order._id}:earning`,
+    type: 'order_earning',
+    seller: order.seller,
+    order: order._id,
+    description: `Earnings from order ${order.orderNumber}`,
+    postings: [
+      debit('order_receipts', (order.sellerEarnings || 0) + (order.commission || 0) - promotion),
+      debit('platform_promotions', promotion),
+      credit('seller_pending', order.sellerEarnings || 0),
+      credit('platform_commission', order.commission || 0)
+    ],
+    ...(createdAt && { createdAt })
+  });
+};
+
+// Held earnings of an order become withdrawable once its return window has passed
+const recordSettlementRelease = (order, amount, { createdAt } = {}) => postEntry({
+  key: `order:${order._id}:settlement`,
+  type: 'settlement_release',
+  seller: order.seller,
+  order: order._id,
+  description: `Settlement released for order ${order.orderNumber}`,
+  postings: [
+    debit('seller_pending', amount),
+    credit('seller_payable', amount)
+  ],
+  ...(createdAt && { createdAt })
+});
+
+// Refund after earnings were credited: the seller's share and the commission share are reversed,
+// from held earnings while the order is still in its settlement hold
+const recordRefundReversal = (order, refund, { createdAt } = {}) => {
+  const share = (amount) => (order.totalPrice > 0 ? roundMoney(refund.amount * amount / order.totalPrice) : 0);
+  const commissionShare = share(order.commission || 0);
+  // The platform's discount funding for the refunded part goes back to it
+  const promotionShare = share(getPlatformFundedDiscount(order));
+  return postEntry({
+    key: `refund:${refund.refundNumber || refund._id}`,
+    type: 'refund_reversal',
+    seller: order.seller,
+    order: order._id,
+    description: `Refund reversal for order ${order.orderNumber}`,
+    postings: [
+      debit(order.settlement?.status === 'released' ? 'seller_payable' : 'seller_pending', refund.sellerDebit),
+      debit('platform_commission', commissionShare),
+      credit('platform_promotions', promotionShare),
+      credit('customer_refunds', refund.sellerDebit + commissionShare - promotionShare)
+    ],
+    createdBy: refund.initiatedBy,
+    ...(createdAt && { createdAt })
+  });
+};
+
+const recordWithdrawalRequested = (withdrawal, { createdAt } = {}) => postEntry({
+  key: `withdrawal:${withdrawal._id}:requested`,
+  type: 'withdrawal_requested',
+  seller: withdrawal.seller,
+  withdrawal: withdrawal._id,
+  description: 'Withdrawal request created',
+  postings: [
+    debit('seller_payable', withdrawal.amount),
+    credit('withdrawals_in_transit', withdrawal.amount)
+  ],
+  ...(createdAt && { createdAt })
+});
+
+const recordWithdrawalRejected = (withdrawal, { createdAt } = {}) => postEntry({
+  key: `withdrawal:${withdrawal._id}:rejected`,
+  type: 'withdrawal_rejected',
+  seller: withdrawal.seller,
+  withdrawal: withdrawal._id,
+  description: 'Withdrawal request rejected - amount refunded',
+  postings: [
+    debit('withdrawals_in_transit', withdrawal.amount),
+    credit('seller_payable', withdrawal.amount)
+  ],
+  createdBy: withdrawal.processedBy,
+  ...(createdAt && { createdAt })
+});
+
+const recordWithdrawalPaid = (withdrawal, { createdAt } = {}) => postEntry({
+  key: `withdrawal:${withdrawal._id}:paid`,
+  type: 'withdrawal_paid',
+  seller: withdrawal.seller,
+  withdrawal: withdrawal._id,
+  description: 'Withdrawal processed',
+  postings: [
+    debit('withdrawals_in_transit', withdrawal.amount),
+    credit('payouts', withdrawal.amount)
+  ],
+  createdBy: withdrawal.processedBy,
+  ...(createdAt && { createdAt })
+});
+
+// A payout that failed, or was reversed by the bank after it was paid; the amount goes back
+// to the seller's available balance
+const recordWithdrawalFailed = (withdrawal, { reversed = false, createdAt } = {}) => postEntry({
+  key: `withdrawal:${withdrawal._id}:failed`,
+  type: 'withdrawal_failed',
+  seller: withdrawal.seller,
+  withdrawal: withdrawal._id,
+  description: reversed ? 'Withdrawal payout reversed - amount refunded' : 'Withdrawal payout failed - amount refunded',
+  postings: [
+    debit(reversed ? 'payouts' : 'withdrawals_in_transit', withdrawal.amount),
+    credit('seller_payable', withdrawal.amount)
+  ],
+  ...(createdAt && { createdAt })
+});
+
+module.exports = {
+  postEntry,
+  getSellerBalances,
+  refreshWallet,
+  getSellerLedger,
+  getEarningsSummary,
+  getPlatformEarnings,
+  getOrderPendingAmount,
+  recordOrderEarning,
+  recordSettlementRelease,
+  recordRefundReversal,
+  recordWithdrawalRequested,
+  recordWithdrawalRejected,
+  recordWithdrawalPaid,
+  recordWithdrawalFailed
+};
@@ -0,0 +1,58 @@
+const Order = require('../models/Order');
+const Coupon = require('../models/Coupon');
+const Seller = require('../models/Seller');
+
+// Indexes that used to be unique. MongoDB keeps an existing index's options and Mongoose will not
+// change them, so the old unique index is dropped and built again from the schema.
+const FORMERLY_UNIQUE_INDEXES = [
+  // Split orders of one checkout share these
+  { model: Order, name: 'orderIdempotencyKey_1' },
+  { model: Order, name: 'razorpayOrderId_1' }
+];
+
+const rebuildFormerlyUniqueIndexes = async () => {
+  const rebuilt = new Set();
+  for (const { model, name } of FORMERLY_UNIQUE_INDEXES) {
+    let indexes;
+    try {
+      indexes = await model.collection.indexes();
+    } catch (error) {
+      // Nothing to fix before the collection exists
+      if (error.codeName === 'NamespaceNotFound') continue;
+      throw error;
+    }
+    if (!indexes.find(index => index.name === name)?.unique) continue;
+
+    await model.collection.dropIndex(name);
+    console.log(`Dropped unique index ${model.collection.collectionName}.${name}`);
+    rebuilt.add(model);
+  }
+  for (const model of rebuilt) {
+    await model.createIndexes();
+  }
+};
+
+// Seller coupons used to store the owning User's id as `vendor`; they are now keyed by Seller id
+// like the rest of the catalogue. A Seller id never matches a User id, so remapped coupons are left alone.
+const remapCouponVendorsToSellers = async () => {
+  const vendorIds = await Coupon.distinct('vendor', { vendor: { $ne: null } });
+  if (vendorIds.length === 0) return;
+  const sellers = await Seller.find({ userId: { $in: vendorIds } }).select('userId').lean();
+  if (sellers.length === 0) return;
+
+  const result = await Coupon.bulkWrite(sellers.map(seller => ({
+    updateMany: { filter: { vendor: seller.userId }, update: { $set: { vendor: seller._id } } }
+  })));
+  console.log(`Moved ${result.modifiedCount} seller coupons from user ids to seller ids`);
+};
+
+/**
+ * Bring an existing database in line with the current schemas. Run on every start once connected;
+ * each step checks the current state first, so it only changes anything the first time.
+ */
+const runMigrations = async () => {
+  await rebuildFormerlyUniqueIndexes();
+  await remapCouponVendorsToSellers();
+};
+
+module.exports = { runMigrations };
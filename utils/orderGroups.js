@@ -0,0 +1,33 @@
+const Order = require('../models/Order');
+const OrderGroup = require('../models/OrderGroup');
+
+// Group payment status from its orders' payment statuses
+const rollUpPaymentStatus = (statuses) => {
+  if (statuses.length === 0) return 'pending';
+  if (statuses.every(s => s === 'refunded')) return 'refunded';
+  if (statuses.every(s => ['paid', 'partially_refunded', 'refunded'].includes(s))) {
+    return statuses.every(s => s === 'paid') ? 'paid' : 'partially_refunded';
+  }
+  if (statuses.every(s => s === 'failed')) return 'failed';
+  return 'pending';
+};
+
+/**
+ * Recompute the payment status of the given order groups from their child orders.
+ * Call after changing the payment status of grouped orders. Orders without a group are skipped.
+ * @param {Array<ObjectId|null>} groupIds - Duplicates and empty values are ignored
+ * @param {Object} [paymentResult] - Recorded on the groups as well, e.g. after a capture
+ */
+const syncOrderGroupPayment = async (groupIds, paymentResult) => {
+  const ids = [...new Set(groupIds.filter(Boolean).map(String))];
+  for (const groupId of ids) {
+    const orders = await Order.find({ orderGroup: groupId }).select('paymentStatus');
+    const update = { paymentStatus: rollUpPaymentStatus(orders.map(o => o.paymentStatus)) };
+    if (paymentResult) update.paymentResult = paymentResult;
+    await OrderGroup.updateOne({ _id: groupId }, { $set: update });
+  }
+};
+
+module.exports = {
+  syncOrderGroupPayment
+};
@@ -0,0 +1,190 @@
+const mongoose = require('mongoose');
+const Coupon = require('../models/Coupon');
+const Order = require('../models/Order');
+const OrderGroup = require('../models/OrderGroup');
+const Product = require('../models/Product');
+const { loadCheckoutQuote, consumeCheckoutQuote } = require('./checkout');
+const { getPaymentProvider } = require('./paymentProviders');
+const { reserveStock } = require('./stock');
+const { recordOrderEvent } = require('./orderStateMachine');
+const { buildCommissionSnapshot } = require('./commission');
+const { redeemCoupon, splitCouponFunding } = require('./coupons');
+
+const placementError = (message, statusCode = 400) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  error.type = 'OrderPlacementError';
+  return error;
+};
+
+// Error types whose message and statusCode are safe to return to the client
+const CLIENT_ERROR_TYPES = ['OrderPlacementError', 'CheckoutError', 'CouponError', 'PaymentProviderError', 'InsufficientStock'];
+
+const buildShippingAddress = (shippingAddress) => ({
+  type: shippingAddress.type || 'home',
+  firstName: shippingAddress.firstName || '',
+  lastName: shippingAddress.lastName || '',
+  street: shippingAddress.street,
+  city: shippingAddress.city,
+  state: shippingAddress.state,
+  zipCode: shippingAddress.zipCode,
+  country: shippingAddress.country,
+  phone: shippingAddress.phone || '',
+});
+
+/**
+ * Place the orders for a checkout quote: one Order per seller under a shared OrderGroup,
+ * all in one transaction. Payment specifics are delegated to the provider registered for `paymentMethod`.
+ * @param {Object} input
+ * @param {ObjectId} input.userId
+ * @param {String} input.checkoutSessionId - Server-priced quote from POST /api/checkout/session
+ * @param {Object} input.shippingAddress
+ * @param {String} input.paymentMethod - One of the registered payment providers
+ * @param {Object} [input.payment] - Provider-specific references (e.g. razorpay_order_id)
+ * @param {String} [input.orderIdempotencyKey]
+ * @returns {Promise<{orders: Document[], orderGroup: Document|null, isDuplicate: Boolean}>}
+ */
+const placeOrders = async ({ userId, checkoutSessionId, shippingAddress, paymentMethod, payment = {}, orderIdempotencyKey }) => {
+  // Check for duplicate order using idempotency key
+  if (orderIdempotencyKey) {
+    const existingOrders = await Order.find({
+      user: userId,
+      orderIdempotencyKey,
+      createdAt: { $gte: new Date(Date.now() - 5 * 60 * 1000) } // Within last 5 minutes
+    });
+    if (existingOrders.length > 0) {
+      console.log('Duplicate order prevented:', orderIdempotencyKey);
+      const orderGroup = await OrderGroup.findById(existingOrders[0].orderGroup);
+      return { orders: existingOrders, orderGroup, isDuplicate: true };
+    }
+  }
+
+  if (!shippingAddress || !paymentMethod || !checkoutSessionId) {
+    throw placementError('Missing required fields: shippingAddress, paymentMethod, or checkoutSessionId');
+  }
+
+  const provider = getPaymentProvider(paymentMethod);
+
+  // Items, prices, discount and totals come only from the server-priced checkout quote
+  const quote = await loadCheckoutQuote(checkoutSessionId, userId);
+  await provider.validatePlacement(quote, payment);
+  const coupon = quote.coupon ? await Coupon.findById(quote.coupon).select('ownerType funding platformSharePercent') : null;
+
+  const session = await mongoose.startSession();
+  session.startTransaction();
+
+  try {
+    await consumeCheckoutQuote(quote._id, session);
+
+    // Fails with a per-line InsufficientStock error; the abort below rolls back partial reservations
+    const reservations = await reserveStock(quote.lines, session);
+    const reservationFor = (line) => reservations[quote.lines.indexOf(line)];
+    const orderFields = provider.getOrderFields(quote, payment);
+
+    const orderGroup = new OrderGroup({
+      user: userId,
+      checkoutSession: quote._id,
+      shippingAddress: buildShippingAddress(shippingAddress),
+      coupon: quote.coupon || undefined,
+      couponCode: quote.couponCode || undefined,
+      itemsPrice: quote.itemsPrice,
+      discount: quote.discount || 0,
+      shippingPrice: quote.shippingPrice,
+      taxPrice: quote.taxPrice,
+      totalPrice: quote.total,
+      orderIdempotencyKey: orderIdempotencyKey || undefined,
+      ...orderFields,
+    });
+
+    const createdOrders = [];
+    for (const summary of quote.sellers) {
+      const sellerId = String(summary.seller);
+      const sellerLines = quote.lines.filter(line => String(line.seller) === sellerId);
+
+      // Sequential on purpose: operations within one transaction must not run in parallel
+      const orderItems = [];
+      for (const line of sellerLines) {
+        const product = await Product.findOneAndUpdate(
+          { _id: line.product },
+          { $inc: { totalSold: line.quantity } },
+          { session, new: true }
+        );
+        if (!product) {
+          throw placementError(`Product not found: ${line.product}`);
+        }
+        orderItems.push({
+          product: product._id,
+          name: line.name,
+          image: line.image,
+          price: line.unitPrice, // Seller's price as quoted
+          quantity: line.quantity,
+          selectedVariants: line.selectedVariants,
+          sku: line.sku,
+          sellerProduct: line.sellerProduct,
+          variantStock: reservationFor(line).variantStock,
+        });
+      }
+
+      const order = new Order({
+        user: userId,
+        seller: sellerId,
+        orderItems,
+        shippingAddress: buildShippingAddress(shippingAddress),
+        itemsPrice: summary.itemsPrice,
+        taxPrice: summary.taxPrice,
+        shippingPrice: summary.shippingPrice,
+        totalPrice: summary.totalPrice,
+        orderStatus: 'pending',
+        paymentStatus: 'pending',
+        shippingStatus: 'pending',
+        stockReservation: { status: 'reserved' },
+        coupon: quote.coupon || undefined,
+        discount: summary.discount || 0,
+        ...(coupon && { couponFunding: splitCouponFunding(coupon, (summary.couponDiscount || 0) + (summary.shippingDiscount || 0)) }),
+        promotions: (quote.promotions || [])
+          .filter(promotion => String(promotion.seller) === sellerId)
+          .map(promotion => ({
+            promotion: promotion.promotion,
+            name: promotion.name,
+            type: promotion.type,
+            ownerType: promotion.ownerType,
+            funding: promotion.funding,
+            platformSharePercent: promotion.platformSharePercent,
+            discount: promotion.discount,
+            platformAmount: splitCouponFunding(promotion, promotion.discount).platformAmount
+          })),
+        checkoutSession: quote._id,
+        orderGroup: orderGroup._id,
+        orderIdempotencyKey: orderIdempotencyKey || undefined,
+        ...orderFields,
+      });
+      order.commissionSnapshot = await buildCommissionSnapshot(order);
+      recordOrderEvent(order, { to: 'pending', actor: userId, role: 'customer', note: 'Order placed' });
+      await order.save({ session });
+      createdOrders.push(order);
+      console.log(`Order created for seller ${sellerId}:`, order._id);
+    }
+
+    orderGroup.orders = createdOrders.map(order => order._id);
+
+    // Re-checked and counted here so the coupon is only used up by orders that were placed
+    await redeemCoupon(quote, { userId, orderGroup, session });
+    await orderGroup.save({ session });
+
+    await session.commitTransaction();
+    console.log(`Total orders created: ${createdOrders.length} in group ${orderGroup.groupNumber}`);
+    return { orders: createdOrders, orderGroup, isDuplicate: false };
+  } catch (error) {
+    await session.abortTransaction();
+    throw error;
+  } finally {
+    session.endSession();
+  }
+};
+
+const isClientError = (error) => CLIENT_ERROR_TYPES.includes(error.type) && Boolean(error.statusCode);
+
+module.exports = {
+  placeOrders,
+  isClientError
+};
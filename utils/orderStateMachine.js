@@ -0,0 +1,118 @@
+/**
+ * Order lifecycle. Every change to Order.orderStatus goes through transitionOrder so the
+ * allowed paths, who may take them and the statusHistory stay in one place.
+ *
+ *   pending -> confirmed -> processing -> shipped -> delivered
+ *   pending | confirmed | processing  -> cancelled
+ *   confirmed | processing | shipped | delivered -> refunded
+ *
+ * Roles are the User roles plus 'system' for webhooks and scheduled jobs. 'refunded' is only
+ * reached by the system once the money is back with the customer (utils/refunds.js issueRefund).
+ * Online orders only leave pending (other than to cancelled) once they are paid.
+ */
+const TRANSITIONS = {
+  pending: {
+    confirmed: ['seller', 'admin', 'system'],
+    cancelled: ['customer', 'seller', 'admin', 'system']
+  },
+  confirmed: {
+    processing: ['seller', 'admin'],
+    cancelled: ['customer', 'seller', 'admin', 'system'],
+    refunded: ['system']
+  },
+  processing: {
+    shipped: ['seller', 'admin'],
+    cancelled: ['seller', 'admin', 'system'],
+    refunded: ['system']
+  },
+  shipped: {
+    delivered: ['seller', 'admin', 'system'],
+    refunded: ['system']
+  },
+  delivered: {
+    refunded: ['system']
+  },
+  cancelled: {},
+  refunded: {}
+};
+
+const ORDER_STATUSES = Object.keys(TRANSITIONS);
+
+const transitionError = (message, statusCode = 400) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  error.type = 'OrderTransitionError';
+  return error;
+};
+
+// Payment states in which the customer's money has been collected
+const PAID_STATUSES = ['paid', 'partially_refunded'];
+const isOrderPaid = (order) => PAID_STATUSES.includes(order.paymentStatus);
+
+const canTransition = (from, to, role) => Boolean(TRANSITIONS[from]?.[to]?.includes(role));
+
+// Statuses reachable from the order's current status by this role
+const getAllowedTransitions = (order, role) => Object.entries(TRANSITIONS[order.orderStatus] || {})
+  .filter(([, roles]) => roles.includes(role))
+  .map(([to]) => to);
+
+// Append an entry to the order's history without changing its status (e.g. creation, tracking updates)
+const recordOrderEvent = (order, { from = null, to = order.orderStatus, actor, role = 'system', note = '' } = {}) => {
+  order.statusHistory.push({ from, to, actor, actorRole: role, note, at: new Date() });
+};
+
+/**
+ * Move an order to a new status, keeping shipping/payment status and timestamps in step.
+ * Does not save the order.
+ * @param {Document} order
+ * @param {String} to - Target orderStatus
+ * @param {Object} [options]
+ * @param {ObjectId} [options.actor] - User performing the change; omitted for system changes
+ * @param {String} [options.role='system'] - 'customer' | 'seller' | 'admin' | 'system'
+ * @param {String} [options.note]
+ * @throws OrderTransitionError (400 unknown/invalid transition or unpaid online order, 403 role not allowed)
+ */
+const transitionOrder = (order, to, { actor, role = 'system', note = '' } = {}) => {
+  const from = order.orderStatus;
+  if (!ORDER_STATUSES.includes(to)) {
+    throw transitionError(`Unknown order status: ${to}`);
+  }
+  if (!TRANSITIONS[from]?.[to]) {
+    throw transitionError(`Order cannot move from ${from} to ${to}`);
+  }
+  if (!canTransition(from, to, role)) {
+    throw transitionError(`Role ${role} cannot move an order from ${from} to ${to}`, 403);
+  }
+  // Cash on delivery is collected later; everything else is fulfilled only once paid
+  if (from === 'pending' && to !== 'cancelled' && order.paymentMethod !== 'cod' && !isOrderPaid(order)) {
+    throw transitionError('Order cannot be confirmed before payment is received');
+  }
+
+  order.orderStatus = to;
+  const now = new Date();
+  if (to === 'shipped') {
+    order.shippingStatus = 'shipped';
+  } else if (to === 'delivered') {
+    order.shippingStatus = 'delivered';
+    order.deliveredAt = now;
+    // Cash on delivery is collected by the courier
+    if (order.paymentMethod === 'cod' && order.paymentStatus === 'pending') {
+      order.paymentStatus = 'paid';
+    }
+  } else if (to === 'cancelled') {
+    order.cancelledAt = now;
+    if (actor) order.cancelledBy = actor;
+  }
+
+  recordOrderEvent(order, { from, to, actor, role, note });
+  return order;
+};
+
+module.exports = {
+  ORDER_STATUSES,
+  transitionOrder,
+  recordOrderEvent,
+  canTransition,
+  getAllowedTransitions,
+  isOrderPaid
+};
@@ -0,0 +1,10 @@
+// Cash on delivery: nothing to set up up-front, payment is collected on delivery
+module.exports = {
+  name: 'cod',
+
+  async validatePlacement() {},
+
+  getOrderFields() {
+    return { paymentMethod: 'cod' };
+  }
+};
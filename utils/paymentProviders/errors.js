@@ -0,0 +1,8 @@
+const paymentProviderError = (message, statusCode = 400) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  error.type = 'PaymentProviderError';
+  return error;
+};
+
+module.exports = { paymentProviderError };
@@ -0,0 +1,33 @@
+/**
+ * Payment provider registry. Every provider implements the same interface so order
+ * placement never branches on the payment method:
+ *
+ *   name                                   - value stored on Order.paymentMethod
+ *   initiatePayment(quote, context)        - optional; create the gateway-side payment for a checkout quote
+ *   validatePlacement(quote, payment)      - check client payment references before orders are created
+ *   getOrderFields(quote, payment)         - extra fields stamped on every order placed with this method
+ */
+const cod = require('./cod');
+const razorpay = require('./razorpay');
+const stripe = require('./stripe');
+const { paymentProviderError } = require('./errors');
+
+const providers = {
+  [cod.name]: cod,
+  [razorpay.name]: razorpay,
+  [stripe.name]: stripe
+};
+
+const getPaymentProvider = (method) => {
+  const provider = providers[method];
+  if (!provider) {
+    throw paymentProviderError(`Unsupported payment method: ${method}`);
+  }
+  return provider;
+};
+
+module.exports = {
+  getPaymentProvider,
+  paymentProviderError,
+  supportedPaymentMethods: Object.keys(providers)
+};
@@ -0,0 +1,48 @@
+const { getRazorpayInstance } = require('../razorpay');
+const { paymentProviderError } = require('./errors');
+
+// Razorpay: a gateway order is created for the quote total, orders are placed with its id
+// and marked paid by the capture endpoint or the webhook
+module.exports = {
+  name: 'razorpay',
+
+  async initiatePayment(quote, { userId, receipt, notes } = {}) {
+    const instance = getRazorpayInstance();
+    let order;
+    try {
+      order = await instance.orders.create({
+        amount: Math.round(quote.total * 100), // amount expected in paise by Razorpay
+        currency: quote.currency,
+        receipt: receipt || `rcpt_${Date.now()}`,
+        notes: {
+          ...(notes || {}),
+          userId: userId ? userId.toString() : 'guest',
+          checkoutSessionId: quote._id.toString()
+        }
+      });
+    } catch (error) {
+      console.error('Razorpay order creation failed:', error);
+      throw paymentProviderError('Failed to initialize payment', 502);
+    }
+    quote.razorpayOrderId = order.id;
+    await quote.save();
+    return { order };
+  },
+
+  async validatePlacement(quote, payment = {}) {
+    if (!payment.razorpay_order_id) {
+      throw paymentProviderError('Missing required field: razorpay_order_id');
+    }
+    // The Razorpay order must be the one created for this quote's total
+    if (quote.razorpayOrderId !== payment.razorpay_order_id) {
+      throw paymentProviderError('Razorpay order does not match checkout session');
+    }
+  },
+
+  getOrderFields(quote, payment = {}) {
+    return {
+      paymentMethod: 'razorpay',
+      razorpayOrderId: payment.razorpay_order_id
+    };
+  }
+};
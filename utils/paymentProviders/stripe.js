@@ -0,0 +1,45 @@
+const { getStripeInstance } = require('../stripe');
+const { paymentProviderError } = require('./errors');
+
+// Stripe: a PaymentIntent is created for the quote total and confirmed client-side;
+// orders are marked paid or failed by the Stripe webhook
+module.exports = {
+  name: 'stripe',
+
+  async initiatePayment(quote, { userId } = {}) {
+    const stripe = getStripeInstance();
+    let intent;
+    try {
+      intent = await stripe.paymentIntents.create({
+        amount: Math.round(quote.total * 100),
+        currency: quote.currency.toLowerCase(),
+        metadata: {
+          userId: userId ? userId.toString() : 'guest',
+          checkoutSessionId: quote._id.toString()
+        }
+      });
+    } catch (error) {
+      console.error('Stripe payment intent creation failed:', error);
+      throw paymentProviderError('Failed to initialize payment', 502);
+    }
+    quote.stripePaymentIntentId = intent.id;
+    await quote.save();
+    return { paymentIntentId: intent.id, clientSecret: intent.client_secret };
+  },
+
+  async validatePlacement(quote, payment = {}) {
+    if (!payment.stripe_payment_intent_id) {
+      throw paymentProviderError('Missing required field: stripe_payment_intent_id');
+    }
+    if (quote.stripePaymentIntentId !== payment.stripe_payment_intent_id) {
+      throw paymentProviderError('Stripe payment intent does not match checkout session');
+    }
+  },
+
+  getOrderFields(quote, payment = {}) {
+    return {
+      paymentMethod: 'stripe',
+      stripePaymentIntentId: payment.stripe_payment_intent_id
+    };
+  }
+};
@@ -0,0 +1,8 @@
+const payoutProviderError = (message, statusCode = 400) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  error.type = 'PayoutProviderError';
+  return error;
+};
+
+module.exports = { payoutProviderError };
@@ -0,0 +1,37 @@
+/**
+ * Payout provider registry. The provider named by PAYOUT_PROVIDER pays out approved
+ * withdrawals; when it is not set, withdrawals are paid manually and marked processed by an admin.
+ *
+ *   name                                      - value stored on WithdrawalRequest.payout.provider
+ *   createPayout(withdrawal, seller)          - create the contact, fund account and payout;
+ *                                               returns { contactId, fundAccountId, payoutId, status, utr }
+ *   verifyWebhookSignature(rawBody, signature) - authenticate a payout webhook
+ *   parseWebhook(body)                        - { event, payoutId, withdrawalId, status, utr, failureReason }
+ */
+const razorpayx = require('./razorpayx');
+const mock = require('./mock');
+const { payoutProviderError } = require('./errors');
+
+const providers = {
+  [razorpayx.name]: razorpayx,
+  [mock.name]: mock
+};
+
+// Configured provider, or null when payouts are manual
+const getPayoutProvider = () => {
+  const name = process.env.PAYOUT_PROVIDER;
+  if (!name || name === 'manual') return null;
+  const provider = providers[name];
+  if (!provider) {
+    throw payoutProviderError(`Unsupported payout provider: ${name}`, 500);
+  }
+  if (provider === mock && process.env.NODE_ENV === 'production') {
+    throw payoutProviderError('The mock payout provider cannot be used in production', 500);
+  }
+  return provider;
+};
+
+module.exports = {
+  getPayoutProvider,
+  payoutProviderError
+};
@@ -0,0 +1,38 @@
+const crypto = require('crypto');
+const { verifySignature } = require('../razorpay');
+
+// Local stand-in for RazorpayX in development and tests. Payouts end in MOCK_PAYOUT_STATUS
+// (default 'processing', so a webhook settles them); webhooks use the RazorpayX payload shape.
+const getWebhookSecret = () => process.env.MOCK_PAYOUT_WEBHOOK_SECRET || 'mock_payout_secret';
+
+module.exports = {
+  name: 'mock',
+
+  async createPayout(withdrawal) {
+    const status = process.env.MOCK_PAYOUT_STATUS || 'processing';
+    return {
+      contactId: `cont_mock_${withdrawal.seller}`,
+      fundAccountId: `fa_mock_${withdrawal._id}`,
+      payoutId: `pout_mock_${withdrawal._id}`,
+      status,
+      utr: status === 'processed' ? `MOCKUTR${crypto.randomBytes(6).toString('hex').toUpperCase()}` : undefined,
+      failureReason: status === 'failed' ? 'Mock payout failure' : undefined
+    };
+  },
+
+  verifyWebhookSignature(rawBody, signature) {
+    return verifySignature(rawBody, signature, getWebhookSecret());
+  },
+
+  parseWebhook(body = {}) {
+    const payout = body.payload?.payout?.entity || {};
+    return {
+      event: body.event,
+      payoutId: payout.id,
+      withdrawalId: payout.notes?.withdrawalId,
+      status: payout.status,
+      utr: payout.utr || undefined,
+      failureReason: payout.failure_reason || undefined
+    };
+  }
+};
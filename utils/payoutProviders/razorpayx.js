@@ -0,0 +1,128 @@
+const { verifySignature } = require('../razorpay');
+const { payoutProviderError } = require('./errors');
+
+const API_BASE = 'https://api.razorpay.com/v1';
+
+const getConfig = () => {
+  const keyId = process.env.RAZORPAYX_KEY_ID || process.env.RAZORPAY_KEY_ID;
+  const keySecret = process.env.RAZORPAYX_KEY_SECRET || process.env.RAZORPAY_KEY_SECRET;
+  const accountNumber = process.env.RAZORPAYX_ACCOUNT_NUMBER;
+  if (!keyId || !keySecret || !accountNumber) {
+    throw payoutProviderError('RazorpayX is not configured. Please set RAZORPAYX_KEY_ID, RAZORPAYX_KEY_SECRET and RAZORPAYX_ACCOUNT_NUMBER in .env', 500);
+  }
+  return { keyId, keySecret, accountNumber };
+};
+
+// The Razorpay SDK has no payouts API, so RazorpayX is called over REST
+const request = async (path, body, headers = {}) => {
+  const { keyId, keySecret } = getConfig();
+  let response;
+  try {
+    response = await fetch(`${API_BASE}${path}`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        Authorization: `Basic ${Buffer.from(`${keyId}:${keySecret}`).toString('base64')}`,
+        ...headers
+      },
+      body: JSON.stringify(body)
+    });
+  } catch (error) {
+    console.error(`RazorpayX ${path} request failed:`, error);
+    throw payoutProviderError('Payout provider is unreachable', 502);
+  }
+  const data = await response.json().catch(() => ({}));
+  if (!response.ok) {
+    console.error(`RazorpayX ${path} failed:`, data);
+    throw payoutProviderError(data.error?.description || 'Payout provider rejected the request', 502);
+  }
+  return data;
+};
+
+// Bank account or UPI fund account from the withdrawal's bankDetails
+const buildFundAccount = (withdrawal, contactId, name) => {
+  const details = withdrawal.bankDetails || {};
+  if (withdrawal.paymentMethod === 'bank_transfer') {
+    return {
+      contact_id: contactId,
+      account_type: 'bank_account',
+      bank_account: {
+        name: details.accountHolderName || name,
+        ifsc: details.ifscCode,
+        account_number: details.accountNumber
+      }
+    };
+  }
+  if (withdrawal.paymentMethod === 'upi') {
+    return {
+      contact_id: contactId,
+      account_type: 'vpa',
+      vpa: { address: details.upiId }
+    };
+  }
+  throw payoutProviderError('Automated payouts support bank transfer and UPI withdrawals only');
+};
+
+// RazorpayX: contact per seller, fund account per withdrawal destination, then the payout.
+// Contacts and fund accounts with identical details are deduplicated by RazorpayX.
+module.exports = {
+  name: 'razorpayx',
+
+  async createPayout(withdrawal, seller) {
+    const { accountNumber } = getConfig();
+    const name = seller?.businessName || withdrawal.bankDetails?.accountHolderName || 'Seller';
+
+    const contact = await request('/contacts', {
+      name,
+      email: seller?.email,
+      contact: seller?.phone,
+      type: 'vendor',
+      reference_id: String(withdrawal.seller)
+    });
+    const fundAccount = await request('/fund_accounts', buildFundAccount(withdrawal, contact.id, name));
+    const payout = await request('/payouts', {
+      account_number: accountNumber,
+      fund_account_id: fundAccount.id,
+      amount: Math.round(withdrawal.amount * 100), // paise
+      currency: 'INR',
+      mode: withdrawal.paymentMethod === 'upi' ? 'UPI' : 'IMPS',
+      purpose: 'payout',
+      queue_if_low_balance: true,
+      reference_id: withdrawal.reference || String(withdrawal._id),
+      narration: 'Seller withdrawal',
+      notes: { withdrawalId: String(withdrawal._id) }
+    }, {
+      // Retrying a withdrawal never creates a second payout
+      'X-Payout-Idempotency': String(withdrawal._id)
+    });
+
+    return {
+      contactId: contact.id,
+      fundAccountId: fundAccount.id,
+      payoutId: payout.id,
+      status: payout.status,
+      utr: payout.utr || undefined,
+      failureReason: payout.failure_reason || undefined
+    };
+  },
+
+  verifyWebhookSignature(rawBody, signature) {
+    const secret = process.env.RAZORPAYX_WEBHOOK_SECRET;
+    if (!secret) {
+      throw new Error('RazorpayX webhook secret is not configured. Please set RAZORPAYX_WEBHOOK_SECRET in .env');
+    }
+    return verifySignature(rawBody, signature, secret);
+  },
+
+  parseWebhook(body = {}) {
+    const payout = body.payload?.payout?.entity || {};
+    return {
+      event: body.event,
+      payoutId: payout.id,
+      withdrawalId: payout.notes?.withdrawalId,
+      status: payout.status,
+      utr: payout.utr || undefined,
+      failureReason: payout.failure_reason || payout.status_details?.description || undefined
+    };
+  }
+};
@@ -0,0 +1,95 @@
+const Seller = require('../models/Seller');
+const { getPayoutProvider, payoutProviderError } = require('./payoutProviders');
+const { recordWithdrawalPaid, recordWithdrawalFailed } = require('./ledger');
+
+// Provider statuses that end a payout
+const PAYOUT_SUCCESS_STATUSES = ['processed'];
+const PAYOUT_FAILURE_STATUSES = ['failed', 'rejected', 'cancelled', 'reversed'];
+
+const isPayoutAutomated = () => Boolean(getPayoutProvider());
+
+/**
+ * Apply a payout status from the provider to its withdrawal. Processed payouts complete the
+ * withdrawal; failed ones (or ones reversed after completing) mark it failed and return the
+ * amount to the seller's available balance. Ledger entries are keyed, so replays are harmless.
+ * @param {Document} withdrawal
+ * @param {Object} update - { status, utr, failureReason }
+ * @returns {Promise<Document>} The withdrawal
+ */
+const applyPayoutUpdate = async (withdrawal, { status, utr, failureReason }) => {
+  if (!status) return withdrawal;
+  // A failed withdrawal is final; its funds have already been returned
+  if (withdrawal.status === 'failed') return withdrawal;
+  // Late or out-of-order events for a completed payout; only a reversal changes it
+  if (withdrawal.status === 'processed' && !PAYOUT_FAILURE_STATUSES.includes(status)) return withdrawal;
+
+  withdrawal.set('payout.status', status);
+  if (utr) withdrawal.set('payout.utr', utr);
+  if (failureReason) withdrawal.set('payout.failureReason', failureReason);
+  withdrawal.set('payout.updatedAt', new Date());
+
+  if (PAYOUT_SUCCESS_STATUSES.includes(status)) {
+    await withdrawal.markAsProcessed(withdrawal.processedBy, utr || withdrawal.payout.payoutId);
+    await recordWithdrawalPaid(withdrawal);
+  } else if (PAYOUT_FAILURE_STATUSES.includes(status)) {
+    const reversed = withdrawal.status === 'processed';
+    await withdrawal.markAsFailed(failureReason || `Payout ${status}`);
+    await recordWithdrawalFailed(withdrawal, { reversed });
+  } else {
+    await withdrawal.save();
+  }
+  return withdrawal;
+};
+
+/**
+ * Start the payout of an approved withdrawal through the configured provider.
+ * Safe to call again after an error: the provider deduplicates on the withdrawal id.
+ * @param {Document} withdrawal
+ * @returns {Promise<Document>} The withdrawal with its payout details
+ */
+const initiatePayout = async (withdrawal) => {
+  const provider = getPayoutProvider();
+  if (!provider) {
+    throw payoutProviderError('Automated payouts are not configured');
+  }
+  if (withdrawal.status !== 'approved') {
+    throw payoutProviderError('Only approved withdrawals can be paid out');
+  }
+  if (withdrawal.payout?.payoutId) {
+    return withdrawal; // already started; the webhook reports its progress
+  }
+
+  const seller = await Seller.findById(withdrawal.seller).select('businessName email phone');
+  let result;
+  try {
+    result = await provider.createPayout(withdrawal, seller);
+  } catch (error) {
+    withdrawal.set('payout.provider', provider.name);
+    withdrawal.set('payout.lastError', error.message);
+    withdrawal.set('payout.updatedAt', new Date());
+    await withdrawal.save();
+    throw error;
+  }
+
+  withdrawal.payout = {
+    provider: provider.name,
+    contactId: result.contactId,
+    fundAccountId: result.fundAccountId,
+    payoutId: result.payoutId,
+    status: result.status,
+    initiatedAt: new Date(),
+    updatedAt: new Date()
+  };
+  await withdrawal.save();
+
+  // Providers may settle immediately (e.g. the mock provider)
+  return applyPayoutUpdate(withdrawal, result);
+};
+
+module.exports = {
+  PAYOUT_SUCCESS_STATUSES,
+  PAYOUT_FAILURE_STATUSES,
+  isPayoutAutomated,
+  initiatePayout,
+  applyPayoutUpdate
+};
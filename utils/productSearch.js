@@ -0,0 +1,334 @@
+const mongoose = require('mongoose');
+const Category = require('../models/Category');
+const Product = require('../models/Product');
+const SellerProduct = require('../models/SellerProduct');
+
+// Upper bounds (₹) of the price facet buckets; listings above the last one fall in '5000+'
+const PRICE_BUCKETS = [0, 100, 250, 500, 1000, 2500, 5000];
+const RATING_STEPS = [4, 3, 2, 1];
+const MAX_TEXT_MATCHES = 1000;
+const MAX_TERMS = 6;
+
+const SORTS = {
+  relevance: { relevance: -1 },
+  'price-low': { sellerPrice: 1 },
+  'price-high': { sellerPrice: -1 },
+  rating: { 'product.ratings': -1 },
+  newest: { createdAt: -1 },
+  name: { 'product.name': 1 }
+};
+
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const toObjectIds = (ids) => ids
+  .filter(id => mongoose.Types.ObjectId.isValid(String(id)))
+  .map(id => new mongoose.Types.ObjectId(String(id)));
+
+// Pattern matching a search term at the start of a word, with up to one typo (a wrong, missing,
+// extra or swapped letter). Typo variants must match a whole word, and dropping a letter typed by
+// mistake needs at least 5 letters, so short terms do not match fragments of unrelated words.
+// Terms under 4 letters are matched as typed.
+const fuzzyTermPattern = (term) => {
+  const exact = escapeRegex(term);
+  if (term.length < 4) return `\\b${exact}`;
+  const variants = new Set();
+  for (let i = 0; i <= term.length; i += 1) {
+    const before = escapeRegex(term.slice(0, i));
+    if (i < term.length) {
+      variants.add(`${before}.${escapeRegex(term.slice(i + 1))}`); // wrong letter
+      if (term.length >= 5) variants.add(`${before}${escapeRegex(term.slice(i + 1))}`); // extra letter typed
+    }
+    variants.add(`${before}.${escapeRegex(term.slice(i))}`); // letter missed
+    if (i < term.length - 1) {
+      variants.add(`${before}${escapeRegex(term[i + 1] + term[i])}${escapeRegex(term.slice(i + 2))}`); // swapped
+    }
+  }
+  variants.delete(exact);
+  return `\\b(?:${exact}|(?:${[...variants].join('|')})\\b)`;
+};
+
+// One case-insensitive pattern matching any of the query's terms, typos allowed
+const buildFuzzyPattern = (q) => {
+  const terms = [...new Set(q.toLowerCase().split(/\s+/).filter(Boolean))].slice(0, MAX_TERMS);
+  return terms.length > 0 ? terms.map(fuzzyTermPattern).join('|') : null;
+};
+
+// Text index scores of matching products, best first
+const findTextMatches = async (q) => {
+  const matches = await Product.aggregate([
+    { $match: { $text: { $search: q }, isActive: { $ne: false } } },
+    { $project: { score: { $meta: 'textScore' } } },
+    { $sort: { score: -1 } },
+    { $limit: MAX_TEXT_MATCHES }
+  ]);
+  return { ids: matches.map(m => m._id), scores: matches.map(m => m.score) };
+};
+
+// Relevance: the text index score, plus smaller boosts for fuzzy matches on each field
+const relevanceStage = (q, pattern, text, categoryIds) => {
+  const regexMatch = (input) => ({ $regexMatch: { input: { $ifNull: [input, ''] }, regex: pattern, options: 'i' } });
+  const boost = (condition, points) => ({ $cond: [condition, points, 0] });
+  return {
+    $addFields: {
+      relevance: {
+        $add: [
+          {
+            $let: {
+              vars: { i: { $indexOfArray: [text.ids, '$product._id'] } },
+              in: { $cond: [{ $gte: ['$$i', 0] }, { $multiply: [{ $arrayElemAt: [text.scores, '$$i'] }, 2] }, 0] }
+            }
+          },
+          boost({ $regexMatch: { input: { $ifNull: ['$product.name', ''] }, regex: escapeRegex(q), options: 'i' } }, 3),
+          boost(regexMatch('$product.name'), 2),
+          boost(regexMatch('$product.brand'), 1),
+          boost({
+            $anyElementTrue: [{
+              $map: { input: { $ifNull: ['$product.tags', []] }, as: 'tag', in: regexMatch('$$tag') }
+            }]
+          }, 1),
+          boost({
+            $or: [{ $in: ['$product.category', categoryIds] }, { $in: ['$product.subCategory', categoryIds] }]
+          }, 1)
+        ]
+      }
+    }
+  };
+};
+
+const filterList = (value) => (typeof value === 'string' ? value.split(',').map(v => v.trim()).filter(Boolean) : []);
+
+// Facet filters on Product fields (category, brand, rating). `prefix` is 'product.' once joined.
+const buildProductFilter = ({ category, brand, minRating }, prefix = '') => {
+  const match = {};
+  const categoryIds = toObjectIds(filterList(category));
+  if (categoryIds.length > 0) {
+    match.$or = [{ [`${prefix}category`]: { $in: categoryIds } }, { [`${prefix}subCategory`]: { $in: categoryIds } }];
+  }
+  const brands = filterList(brand);
+  if (brands.length > 0) {
+    match[`${prefix}brand`] = { $in: brands.map(b => new RegExp(`^${escapeRegex(b)}$`, 'i')) };
+  }
+  if (Number.isFinite(minRating)) match[`${prefix}ratings`] = { $gte: minRating };
+  return match;
+};
+
+// Facet filters on SellerProduct fields (price, unit, stock), usable before the product is joined
+const buildListingFilter = ({ minPrice, maxPrice, unit, inStock }) => {
+  const match = {};
+  if (Number.isFinite(minPrice) || Number.isFinite(maxPrice)) {
+    match.sellerPrice = {};
+    if (Number.isFinite(minPrice)) match.sellerPrice.$gte = minPrice;
+    if (Number.isFinite(maxPrice)) match.sellerPrice.$lte = maxPrice;
+  }
+  if (typeof unit === 'string' && unit) match.unit = unit;
+  if (inStock) match.sellerStock = { $gt: 0 };
+  return match;
+};
+
+const facetStages = {
+  categories: [
+    { $group: { _id: '$product.category', count: { $sum: 1 } } },
+    { $sort: { count: -1, _id: 1 } },
+    { $limit: 30 }
+  ],
+  brands: [
+    { $match: { 'product.brand': { $nin: [null, ''] } } },
+    { $group: { _id: '$product.brand', count: { $sum: 1 } } },
+    { $sort: { count: -1, _id: 1 } },
+    { $limit: 30 }
+  ],
+  priceRanges: [
+    { $bucket: { groupBy: '$sellerPrice', boundaries: PRICE_BUCKETS, default: 'above', output: { count: { $sum: 1 } } } }
+  ],
+  ratings: [
+    {
+      $group: {
+        _id: null,
+        ...Object.fromEntries(RATING_STEPS.map(step => [
+          `gte${step}`,
+          { $sum: { $cond: [{ $gte: [{ $ifNull: ['$product.ratings', 0] }, step] }, 1, 0] } }
+        ]))
+      }
+    }
+  ],
+  units: [
+    { $group: { _id: '$unit', count: { $sum: 1 } } },
+    { $sort: { count: -1 } }
+  ],
+  availability: [
+    {
+      $group: {
+        _id: null,
+        inStock: { $sum: { $cond: [{ $gt: ['$sellerStock', 0] }, 1, 0] } },
+        outOfStock: { $sum: { $cond: [{ $gt: ['$sellerStock', 0] }, 0, 1] } }
+      }
+    }
+  ]
+};
+
+// Shape the raw facet output for the client, with category names
+const formatFacets = async (raw) => {
+  const categories = await Category.find({ _id: { $in: raw.categories.map(c => c._id).filter(Boolean) } })
+    .select('name')
+    .lean();
+  const categoryName = new Map(categories.map(c => [String(c._id), c.name]));
+  const priceLabel = (bucket) => {
+    if (bucket._id === 'above') return `${PRICE_BUCKETS[PRICE_BUCKETS.length - 1]}+`;
+    const next = PRICE_BUCKETS[PRICE_BUCKETS.indexOf(bucket._id) + 1];
+    return `${bucket._id}-${next}`;
+  };
+  const ratings = raw.ratings[0] || {};
+  const availability = raw.availability[0] || { inStock: 0, outOfStock: 0 };
+
+  return {
+    categories: raw.categories
+      .filter(c => c._id)
+      .map(c => ({ id: c._id, name: categoryName.get(String(c._id)) || null, count: c.count })),
+    brands: raw.brands.map(b => ({ brand: b._id, count: b.count })),
+    priceRanges: raw.priceRanges.map(b => ({
+      label: priceLabel(b),
+      min: b._id === 'above' ? PRICE_BUCKETS[PRICE_BUCKETS.length - 1] : b._id,
+      max: b._id === 'above' ? null : PRICE_BUCKETS[PRICE_BUCKETS.indexOf(b._id) + 1],
+      count: b.count
+    })),
+    ratings: RATING_STEPS.map(step => ({ minRating: step, count: ratings[`gte${step}`] || 0 })),
+    units: raw.units.filter(u => u._id).map(u => ({ unit: u._id, count: u.count })),
+    availability: { inStock: availability.inStock, outOfStock: availability.outOfStock }
+  };
+};
+
+const joinProductStages = [
+  { $lookup: { from: Product.collection.name, localField: 'product', foreignField: '_id', as: 'product' } },
+  { $unwind: '$product' }
+];
+
+// Facets without a query cover the whole catalog and change slowly, so they are computed once
+// per FACET_CACHE_TTL_MS rather than on every request
+const FACET_CACHE_TTL_MS = 5 * 60 * 1000;
+let catalogFacets = null;
+
+const getCatalogFacets = () => {
+  if (!catalogFacets || catalogFacets.expiresAt < Date.now()) {
+    const promise = SellerProduct.aggregate([
+      { $match: { isListed: true } },
+      ...joinProductStages,
+      { $match: { 'product.isActive': { $ne: false } } },
+      { $facet: facetStages }
+    ]).then(([raw]) => formatFacets(raw));
+    catalogFacets = { promise, expiresAt: Date.now() + FACET_CACHE_TTL_MS };
+    // A failed run is not kept, so the next request tries again
+    promise.catch(() => { catalogFacets = null; });
+  }
+  return catalogFacets.promise;
+};
+
+// Query match: listings of products matching the search text, ranked by relevance, with facets
+// counted before the filters narrow the results
+const searchByQuery = async (query, { sort, skip, limit, filters }) => {
+  const pattern = buildFuzzyPattern(query);
+  const fuzzy = new RegExp(pattern, 'i');
+  const [text, categories] = await Promise.all([
+    findTextMatches(query),
+    Category.find({ name: fuzzy }).select('_id').lean()
+  ]);
+  const categoryIds = categories.map(c => c._id);
+  // Matching products first, so only their listings are joined
+  const productIds = await Product.find({
+    isActive: { $ne: false },
+    $or: [
+      { _id: { $in: text.ids } },
+      { name: fuzzy },
+      { brand: fuzzy },
+      { tags: fuzzy },
+      { category: { $in: categoryIds } },
+      { subCategory: { $in: categoryIds } }
+    ]
+  }).distinct('_id');
+
+  const filterMatch = { ...buildListingFilter(filters), ...buildProductFilter(filters, 'product.') };
+  const [result] = await SellerProduct.aggregate([
+    { $match: { isListed: true, product: { $in: productIds } } },
+    ...joinProductStages,
+    relevanceStage(query, pattern, text, categoryIds),
+    {
+      $facet: {
+        results: [
+          { $match: filterMatch },
+          { $sort: sort },
+          { $skip: skip },
+          { $limit: limit },
+          { $project: { 'product.reviews': 0 } }
+        ],
+        total: [{ $match: filterMatch }, { $count: 'count' }],
+        ...facetStages
+      }
+    }
+  ]);
+  return { listings: result.results, total: result.total[0]?.count || 0, facets: await formatFacets(result) };
+};
+
+// Browsing without a query: filters are applied before the join, and when the sort is on a
+// listing field only the requested page is joined
+const browseListings = async ({ sort, sortOnListing, skip, limit, filters }) => {
+  const productFilter = buildProductFilter(filters);
+  const products = Object.keys(productFilter).length > 0
+    ? { $in: await Product.find({ ...productFilter, isActive: { $ne: false } }).distinct('_id') }
+    : { $nin: await Product.find({ isActive: false }).distinct('_id') };
+  const match = { isListed: true, ...buildListingFilter(filters), product: products };
+  const page = [{ $sort: sort }, { $skip: skip }, { $limit: limit }];
+
+  const [listings, total, facets] = await Promise.all([
+    SellerProduct.aggregate(sortOnListing
+      ? [{ $match: match }, ...page, ...joinProductStages, { $project: { 'product.reviews': 0 } }]
+      : [{ $match: match }, ...joinProductStages, ...page, { $project: { 'product.reviews': 0 } }]),
+    SellerProduct.countDocuments(match),
+    getCatalogFacets()
+  ]);
+  return { listings, total, facets };
+};
+
+/**
+ * Search listed products by name, description, brand, tags and category, with facet counts.
+ * Text index matches rank first; fuzzy matches tolerate one typo per term. Facet counts cover
+ * every listing matching the query, before the facet filters narrow down the results; without
+ * a query they cover the whole catalog and are cached.
+ * @param {Object} params
+ * @param {String} [params.q]
+ * @param {String} [params.category] - Category ids, comma separated (matches category or subCategory)
+ * @param {String} [params.brand] - Brands, comma separated
+ * @param {Number} [params.minPrice]
+ * @param {Number} [params.maxPrice]
+ * @param {Number} [params.minRating]
+ * @param {String} [params.unit]
+ * @param {Boolean} [params.inStock]
+ * @param {String} [params.sortBy] - relevance (default with a query), price-low, price-high, rating,
+ *   newest (default without one) or name
+ * @param {Number} params.page
+ * @param {Number} params.limit
+ * @returns {Promise<{listings: Array, total: Number, facets: Object}>}
+ */
+const searchListings = async ({ q, sortBy, page, limit, ...filters }) => {
+  const query = typeof q === 'string' ? q.trim().slice(0, 100) : '';
+  // Without a query there is nothing to rank by
+  const defaultSort = query ? 'relevance' : 'newest';
+  const sortKey = SORTS[sortBy] && (sortBy !== 'relevance' || query) ? sortBy : defaultSort;
+  // _id last so equal sort keys always come back in the same order across pages
+  const sort = { ...SORTS[sortKey], _id: 1 };
+  const options = { sort, skip: (page - 1) * limit, limit, filters };
+
+  const { listings, total, facets } = query
+    ? await searchByQuery(query, options)
+    : await browseListings({ ...options, sortOnListing: !Object.keys(sort).some(key => key.startsWith('product.')) });
+
+  await Product.populate(listings.map(l => l.product), [
+    { path: 'category', select: 'name' },
+    { path: 'subCategory', select: 'name' }
+  ]);
+  await SellerProduct.populate(listings, { path: 'seller', select: 'businessName' });
+  return { listings, total, facets };
+};
+
+module.exports = {
+  searchListings,
+  buildFuzzyPattern
+};
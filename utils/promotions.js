@@ -0,0 +1,124 @@
+const Promotion = require('../models/Promotion');
+const { loadLineCategories, spreadOverLines } = require('./coupons');
+const { roundMoney } = require('./format');
+
+const includesId = (ids, id) => ids.some(other => String(other) === String(id));
+
+// Promotions running right now, highest priority first
+const loadActivePromotions = (now = new Date()) => Promotion.find({
+  isActive: true,
+  $and: [
+    { $or: [{ startsAt: null }, { startsAt: { $lte: now } }] },
+    { $or: [{ endsAt: null }, { endsAt: { $gte: now } }] }
+  ]
+}).sort({ priority: -1, createdAt: 1 });
+
+// Whether a cart line is covered by the promotion's owner and scoping
+const isLineEligible = (promotion, line, categoryChain) => {
+  if (promotion.ownerType !== 'platform' && String(line.seller) !== String(promotion.vendor)) return false;
+  if (promotion.sellers?.length && !includesId(promotion.sellers, line.seller)) return false;
+  if (promotion.products?.length && !includesId(promotion.products, line.product)) return false;
+  if (promotion.sellerProducts?.length && !includesId(promotion.sellerProducts, line.sellerProduct)) return false;
+  if (promotion.categories?.length && !promotion.categories.some(id => categoryChain.has(String(id)))) return false;
+  return true;
+};
+
+// Bundle: the most expensive eligible units are grouped first; each full group costs bundlePrice
+const bundleDiscounts = (promotion, lines) => {
+  const units = [];
+  lines.forEach((line, index) => {
+    for (let i = 0; i < line.quantity; i += 1) units.push({ index, price: line.lineTotal / line.quantity });
+  });
+  units.sort((a, b) => b.price - a.price);
+
+  const discounts = lines.map(() => 0);
+  const groups = Math.floor(units.length / promotion.bundleQuantity);
+  for (let g = 0; g < groups; g += 1) {
+    const group = units.slice(g * promotion.bundleQuantity, (g + 1) * promotion.bundleQuantity);
+    const groupTotal = group.reduce((sum, unit) => sum + unit.price, 0);
+    const saving = Math.max(groupTotal - promotion.bundlePrice, 0);
+    group.forEach(unit => {
+      discounts[unit.index] += groupTotal > 0 ? saving * unit.price / groupTotal : 0;
+    });
+  }
+  return discounts.map(roundMoney);
+};
+
+// Discount per eligible line, aligned with `lines`
+const promotionDiscounts = (promotion, lines) => {
+  const subtotal = roundMoney(lines.reduce((sum, l) => sum + l.lineTotal, 0));
+  if (promotion.type === 'percentage') {
+    let amount = subtotal * promotion.discount / 100;
+    if (promotion.maxDiscount) amount = Math.min(amount, promotion.maxDiscount);
+    return spreadOverLines(amount, lines);
+  }
+  if (promotion.type === 'spend_tiers') {
+    const tier = promotion.tiers
+      .filter(t => subtotal >= t.minSpend)
+      .sort((a, b) => b.minSpend - a.minSpend)[0];
+    return tier ? spreadOverLines(Math.min(tier.discount, subtotal), lines) : lines.map(() => 0);
+  }
+  if (promotion.type === 'bundle') {
+    return bundleDiscounts(promotion, lines);
+  }
+  return lines.map(() => 0);
+};
+
+/**
+ * Apply automatic promotions to priced cart lines, highest priority first. Each promotion works
+ * on what is left of a line after the ones before it; a non-stackable promotion only takes lines
+ * no other promotion has discounted, and no further promotion applies to its lines.
+ * @param {Array} lines - Priced lines: { seller, sellerProduct, product, quantity, lineTotal }
+ * @param {Object} [options]
+ * @param {Array<Document>} [options.promotions] - Defaults to the promotions running now
+ * @param {Array<ObjectId>} [options.exclude] - Promotions to leave out (e.g. overridden by a coupon)
+ * @returns {Promise<Object>} { discount, lineDiscounts (aligned with lines), applied: [{ promotion, discount, lineDiscounts }] }
+ */
+const evaluatePromotions = async (lines, { promotions, exclude = [] } = {}) => {
+  const candidates = (promotions || await loadActivePromotions())
+    .filter(promotion => !includesId(exclude, promotion._id));
+  const lineDiscounts = lines.map(() => 0);
+  const applied = [];
+  if (candidates.length === 0 || lines.length === 0) {
+    return { discount: 0, lineDiscounts, applied };
+  }
+
+  const chains = await loadLineCategories(lines);
+  const discounted = lines.map(() => false);
+  const locked = lines.map(() => false);
+  for (const promotion of candidates) {
+    const indexes = lines
+      .map((line, index) => index)
+      .filter(index => !locked[index] && (promotion.stackable || !discounted[index]))
+      .filter(index => isLineEligible(promotion, lines[index], chains[index]));
+    if (indexes.length === 0) continue;
+
+    const remaining = indexes.map(index => ({
+      ...lines[index],
+      lineTotal: roundMoney(lines[index].lineTotal - lineDiscounts[index])
+    }));
+    const amounts = promotionDiscounts(promotion, remaining);
+    const total = roundMoney(amounts.reduce((sum, amount) => sum + amount, 0));
+    if (total <= 0) continue;
+
+    const promotionLineDiscounts = lines.map(() => 0);
+    indexes.forEach((lineIndex, i) => {
+      promotionLineDiscounts[lineIndex] = amounts[i];
+      lineDiscounts[lineIndex] = roundMoney(lineDiscounts[lineIndex] + amounts[i]);
+      discounted[lineIndex] = true;
+      if (!promotion.stackable) locked[lineIndex] = true;
+    });
+    applied.push({ promotion, discount: total, lineDiscounts: promotionLineDiscounts });
+  }
+
+  return {
+    discount: roundMoney(lineDiscounts.reduce((sum, d) => sum + d, 0)),
+    lineDiscounts,
+    applied
+  };
+};
+
+module.exports = {
+  loadActivePromotions,
+  evaluatePromotions
+};
@@ -1,3 +1,4 @@
+const crypto = require('crypto');
 const Razorpay = require('razorpay');
 
 function getRazorpayInstance() {
@@ -11,6 +12,37 @@ function getRazorpayInstance() {
   return new Razorpay({ key_id: keyId, key_secret: keySecret });
 }
 
-module.exports = { getRazorpayInstance };
+// Verify the X-Razorpay-Signature header of a webhook against the raw request body
+function verifyWebhookSignature(rawBody, signature) {
+  const webhookSecret = process.env.RAZORPAY_WEBHOOK_SECRET;
+  if (!webhookSecret) {
+    throw new Error('Razorpay webhook secret is not configured. Please set RAZORPAY_WEBHOOK_SECRET in .env');
+  }
+  return verifySignature(rawBody, signature, webhookSecret);
+}
+
+// Compare an HMAC-SHA256 signature of the raw body in constant time
+function verifySignature(rawBody, signature, secret) {
+  if (!rawBody || !signature) return false;
+
+  const expected = crypto
+    .createHmac('sha256', secret)
+    .update(rawBody)
+    .digest('hex');
 
+  const expectedBuf = Buffer.from(expected);
+  const signatureBuf = Buffer.from(String(signature));
+  return expectedBuf.length === signatureBuf.length && crypto.timingSafeEqual(expectedBuf, signatureBuf);
+}
+
+// Refund (part of) a captured payment. Amount is in rupees; Razorpay expects paise.
+async function createRazorpayRefund(paymentId, amount, notes = {}) {
+  const instance = getRazorpayInstance();
+  return instance.payments.refund(paymentId, {
+    amount: Math.round(amount * 100),
+    speed: 'normal',
+    notes
+  });
+}
 
+module.exports = { getRazorpayInstance, verifyWebhookSignature, verifySignature, createRazorpayRefund };
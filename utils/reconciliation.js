@@ -0,0 +1,208 @@
+const crypto = require('crypto');
+const LedgerEntry = require('../models/LedgerEntry');
+const Order = require('../models/Order');
+const Wallet = require('../models/Wallet');
+const WithdrawalRequest = require('../models/WithdrawalRequest');
+const ReconciliationReport = require('../models/ReconciliationReport');
+const { getOrderEarnings } = require('./earnings');
+const { getSellerBalances, postEntry } = require('./ledger');
+const { roundMoney } = require('./format');
+
+const TOLERANCE = 0.01;
+
+const reconciliationError = (message, statusCode = 400) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  error.type = 'ReconciliationError';
+  return error;
+};
+
+// Net effect of an entry on the seller's own accounts (held, available and in transit)
+const sellerFundsEffect = (entry) => roundMoney((entry.postings || [])
+  .filter(p => ['seller_pending', 'seller_payable', 'withdrawals_in_transit'].includes(p.account))
+  .reduce((sum, p) => sum + p.credit - p.debit, 0));
+
+// Ledger entry types each withdrawal status must have, in order
+const WITHDRAWAL_ENTRIES = {
+  pending: ['requested'],
+  approved: ['requested'],
+  processed: ['requested', 'paid'],
+  rejected: ['requested', 'rejected'],
+  failed: ['requested', 'failed']
+};
+
+/**
+ * Compare one seller's ledger and wallet snapshot with what their delivered orders,
+ * refunds and withdrawals imply. Read-only.
+ * @param {ObjectId} sellerId
+ * @returns {Promise<Object>} { seller, expected, ledger, drift, walletSnapshotDrift, issues }
+ */
+const reconcileSeller = async (sellerId) => {
+  const [entries, orders, withdrawals, wallet, balances] = await Promise.all([
+    LedgerEntry.find({ seller: sellerId }).select('key type postings order withdrawal').lean(),
+    Order.find({
+      seller: sellerId,
+      $or: [{ orderStatus: 'delivered' }, { isEarningsCredited: true }]
+    }).select('seller orderItems totalPrice orderNumber orderStatus commission sellerEarnings commissionSnapshot couponFunding promotions isEarningsCredited refunds createdAt'),
+    WithdrawalRequest.find({ seller: sellerId }).select('amount status reference').lean(),
+    Wallet.findOne({ seller: sellerId }).select('balance').lean(),
+    getSellerBalances(sellerId)
+  ]);
+  const entryByKey = new Map(entries.map(entry => [entry.key, entry]));
+  const issues = [];
+  let expected = 0;
+
+  for (const order of orders) {
+    const orderRef = { order: order._id, orderNumber: order.orderNumber };
+    const earningEntry = entryByKey.get(`order:${order._id}:earning`);
+    // Credited orders keep the amount they were credited with
+    const earning = order.isEarningsCredited
+      ? roundMoney(order.sellerEarnings || 0)
+      : (await getOrderEarnings(order)).sellerEarnings;
+    expected += earning;
+
+    if (!earningEntry) {
+      issues.push({ type: 'missing_earning', message: 'Delivered order has no earning in the ledger', ...orderRef, expected: earning, actual: 0 });
+    } else if (Math.abs(sellerFundsEffect(earningEntry) - earning) >= TOLERANCE) {
+      issues.push({ type: 'earning_mismatch', message: 'Ledger earning differs from the order', ...orderRef, expected: earning, actual: sellerFundsEffect(earningEntry) });
+    }
+
+    for (const refund of order.refunds || []) {
+      if (!refund.sellerDebit) continue;
+      expected -= refund.sellerDebit;
+      const refundEntry = entryByKey.get(`refund:${refund.refundNumber || refund._id}`);
+      const actual = refundEntry ? -sellerFundsEffect(refundEntry) : 0;
+      if (!refundEntry || Math.abs(actual - refund.sellerDebit) >= TOLERANCE) {
+        issues.push({
+          type: refundEntry ? 'refund_mismatch' : 'missing_refund_reversal',
+          message: refundEntry ? 'Ledger refund reversal differs from the refund' : 'Refund has no reversal in the ledger',
+          ...orderRef,
+          refundNumber: refund.refundNumber,
+          expected: refund.sellerDebit,
+          actual
+        });
+      }
+    }
+  }
+
+  // Earnings in the ledger for orders that are neither delivered nor credited
+  const orderIds = new Set(orders.map(order => String(order._id)));
+  for (const entry of entries) {
+    if (entry.type === 'order_earning' && entry.order && !orderIds.has(String(entry.order))) {
+      issues.push({ type: 'unexpected_earning', message: 'Ledger earning for an order that is not delivered', order: entry.order, expected: 0, actual: sellerFundsEffect(entry) });
+    }
+  }
+
+  for (const withdrawal of withdrawals) {
+    const withdrawalRef = { withdrawal: withdrawal._id, withdrawalReference: withdrawal.reference };
+    // Money only leaves the seller once paid out; open requests are still in transit
+    const withdrawn = withdrawal.status === 'processed' ? withdrawal.amount : 0;
+    expected -= withdrawn;
+
+    const required = WITHDRAWAL_ENTRIES[withdrawal.status] || [];
+    const missing = required.filter(step => !entryByKey.has(`withdrawal:${withdrawal._id}:${step}`));
+    if (missing.length > 0) {
+      issues.push({ type: 'missing_withdrawal_entry', message: `Withdrawal is ${withdrawal.status} but the ledger has no ${missing.join('/')} entry`, ...withdrawalRef, expected: withdrawn });
+    }
+    const unexpected = ['rejected', 'failed'].filter(step => !required.includes(step) && entryByKey.has(`withdrawal:${withdrawal._id}:${step}`));
+    if (unexpected.length > 0) {
+      issues.push({ type: 'unexpected_withdrawal_entry', message: `Withdrawal is ${withdrawal.status} but the ledger has a ${unexpected.join('/')} entry`, ...withdrawalRef });
+    }
+  }
+
+  const ledger = roundMoney(balances.balance + balances.pendingSettlement + balances.pendingWithdrawals);
+  expected = roundMoney(expected);
+  return {
+    seller: sellerId,
+    expected,
+    ledger,
+    drift: roundMoney(ledger - expected),
+    walletSnapshotDrift: roundMoney((wallet?.balance || 0) - balances.balance),
+    issues
+  };
+};
+
+/**
+ * Reconcile every seller with a wallet or ledger entries and store the report.
+ * @param {Object} [options]
+ * @param {ObjectId} [options.triggeredBy] - Admin who asked for the run
+ * @returns {Promise<Document>} ReconciliationReport
+ */
+const runReconciliation = async ({ triggeredBy } = {}) => {
+  const startedAt = new Date();
+  const sellerIds = new Map();
+  for (const id of [...await Wallet.distinct('seller'), ...await LedgerEntry.distinct('seller')]) {
+    sellerIds.set(String(id), id);
+  }
+
+  const sellers = [];
+  for (const sellerId of sellerIds.values()) {
+    const result = await reconcileSeller(sellerId);
+    if (Math.abs(result.drift) >= TOLERANCE || Math.abs(result.walletSnapshotDrift) >= TOLERANCE || result.issues.length > 0) {
+      sellers.push(result);
+    }
+  }
+
+  const report = await ReconciliationReport.create({
+    startedAt,
+    finishedAt: new Date(),
+    triggeredBy,
+    sellersChecked: sellerIds.size,
+    sellersWithDrift: sellers.length,
+    totalDrift: roundMoney(sellers.reduce((sum, s) => sum + Math.abs(s.drift), 0)),
+    sellers
+  });
+  if (sellers.length > 0) {
+    console.warn(`Wallet reconciliation found drift for ${sellers.length} of ${sellerIds.size} sellers`);
+  }
+  return report;
+};
+
+/**
+ * Post an admin correction to a seller's available balance. Positive amounts credit the
+ * seller, negative ones debit them; the platform adjustments account takes the other side.
+ * @param {Object} adjustment
+ * @param {ObjectId} adjustment.sellerId
+ * @param {Number} adjustment.amount
+ * @param {String} adjustment.reason
+ * @param {ObjectId} adjustment.createdBy - Admin user
+ * @param {ObjectId} [adjustment.orderId] - Order the correction is for
+ * @param {ObjectId} [adjustment.withdrawalId] - Withdrawal the correction is for
+ * @param {String} [adjustment.idempotencyKey] - Retrying with the same key posts nothing new
+ * @returns {Promise<{entry: Document, created: Boolean}>}
+ */
+const recordAdjustment = async ({ sellerId, amount, reason, createdBy, orderId, withdrawalId, idempotencyKey }) => {
+  const value = roundMoney(Number(amount));
+  if (!Number.isFinite(value) || value === 0) {
+    throw reconciliationError('amount must be a non-zero number');
+  }
+  if (!reason || !String(reason).trim()) {
+    throw reconciliationError('A reason is required for an adjustment');
+  }
+
+  const sellerSide = value > 0 ? 'credit' : 'debit';
+  const posting = (account, side) => ({
+    account,
+    debit: side === 'debit' ? Math.abs(value) : 0,
+    credit: side === 'credit' ? Math.abs(value) : 0
+  });
+  return postEntry({
+    key: `adjustment:${sellerId}:${idempotencyKey || crypto.randomUUID()}`,
+    type: 'adjustment',
+    seller: sellerId,
+    order: orderId,
+    withdrawal: withdrawalId,
+    description: `Adjustment: ${String(reason).trim()}`,
+    postings: [
+      posting('seller_payable', sellerSide),
+      posting('platform_adjustments', sellerSide === 'credit' ? 'debit' : 'credit')
+    ],
+    createdBy
+  });
+};
+
+module.exports = {
+  reconcileSeller,
+  runReconciliation,
+  recordAdjustment
+};
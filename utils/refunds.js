@@ -0,0 +1,272 @@
+const Order = require('../models/Order');
+const { createRazorpayRefund } = require('./razorpay');
+const { createStripeRefund } = require('./stripe');
+const { transitionOrder, canTransition } = require('./orderStateMachine');
+const { syncOrderGroupPayment } = require('./orderGroups');
+const { nextSequence } = require('./sequence');
+const { recordRefundReversal } = require('./ledger');
+const { roundMoney } = require('./format');
+
+const refundError = (message, statusCode = 400) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  error.type = 'RefundError';
+  return error;
+};
+
+// Amount still refundable on an order
+const getRefundableAmount = (order) => roundMoney((order.totalPrice || 0) - (order.refundedAmount || 0));
+
+// What the customer paid per rupee of item value: the order's tax and discount spread over the
+// items by their share of itemsPrice. Shipping is only returned by a full refund.
+const getPaidRatio = (order) => {
+  const itemsPrice = order.itemsPrice || 0;
+  if (itemsPrice <= 0) return 1;
+  // totalPrice - shippingPrice is itemsPrice + taxPrice - discount
+  return Math.max(0, ((order.totalPrice || 0) - (order.shippingPrice || 0)) / itemsPrice);
+};
+
+// Resolve requested [{ itemId, quantity }] into refund lines priced at what the customer paid
+const buildRefundLines = (order, items) => {
+  const ratio = getPaidRatio(order);
+  const seen = new Set();
+  return items.map((entry) => {
+    if (!entry || typeof entry !== 'object' || Array.isArray(entry)) {
+      throw refundError('items must be an array of { itemId, quantity }');
+    }
+    const { itemId, quantity } = entry;
+    const orderItem = order.orderItems.id(itemId);
+    if (!orderItem) {
+      throw refundError(`Order item not found: ${itemId}`);
+    }
+    if (seen.has(String(orderItem._id))) {
+      throw refundError(`Order item listed more than once: ${itemId}`);
+    }
+    seen.add(String(orderItem._id));
+    const remaining = orderItem.quantity - (orderItem.refundedQuantity || 0);
+    const qty = quantity === undefined ? remaining : Number(quantity);
+    if (!Number.isInteger(qty) || qty <= 0 || qty > remaining) {
+      throw refundError(`Invalid refund quantity for ${orderItem.name}: ${remaining} refundable`);
+    }
+    return {
+      orderItem: orderItem._id,
+      quantity: qty,
+      amount: roundMoney(orderItem.price * qty * ratio)
+    };
+  });
+};
+
+// Seller's share of a refund, owed back only if the order's earnings already reached the wallet
+const getSellerDebit = (order, refundAmount) => {
+  if (!order.isEarningsCredited || !order.totalPrice) return 0;
+  return roundMoney(refundAmount * (order.sellerEarnings || 0) / order.totalPrice);
+};
+
+/**
+ * Take back the seller's share of refunds issued before the order's earnings were credited, which
+ * had nothing to reverse at the time. Call once the earnings are credited. Sets sellerDebit on those
+ * refunds and posts their reversals (keyed by refund, so safe to repeat); the caller saves the order.
+ * @param {Document} order
+ * @returns {Promise<Array>} The refunds that were debited
+ */
+const debitEarlierRefunds = async (order) => {
+  const debited = [];
+  for (const refund of order.refunds || []) {
+    if (refund.status === 'failed' || refund.sellerDebit > 0) continue;
+    refund.sellerDebit = getSellerDebit(order, refund.amount);
+    if (refund.sellerDebit > 0) {
+      await recordRefundReversal(order, refund);
+      debited.push(refund);
+    }
+  }
+  return debited;
+};
+
+// Atomically take `amount` and the lines' quantities out of what is still refundable and record the
+// refund as pending. Returns the updated order, or null if a concurrent refund got there first.
+const reserveRefund = (order, refund, { expectedStatus } = {}) => {
+  const itemGuards = refund.items.map(line => ({
+    orderItems: {
+      $elemMatch: {
+        _id: line.orderItem,
+        $or: [
+          { refundedQuantity: { $lte: order.orderItems.id(line.orderItem).quantity - line.quantity } },
+          { refundedQuantity: { $exists: false } }
+        ]
+      }
+    }
+  }));
+  const itemIncrements = Object.fromEntries(
+    refund.items.map((line, i) => [`orderItems.$[i${i}].refundedQuantity`, line.quantity])
+  );
+  return Order.findOneAndUpdate(
+    {
+      _id: order._id,
+      paymentStatus: { $in: ['paid', 'partially_refunded'] },
+      ...(expectedStatus && { orderStatus: expectedStatus }),
+      // refundedAmount + amount <= totalPrice, with a paisa of rounding slack
+      $expr: { $lte: [{ $add: [{ $ifNull: ['$refundedAmount', 0] }, refund.amount] }, { $add: ['$totalPrice', 0.01] }] },
+      ...(itemGuards.length > 0 && { $and: itemGuards })
+    },
+    {
+      $inc: { refundedAmount: refund.amount, ...itemIncrements },
+      $push: { refunds: { ...refund, status: 'pending' } }
+    },
+    {
+      new: true,
+      arrayFilters: refund.items.map((line, i) => ({ [`i${i}._id`]: line.orderItem }))
+    }
+  );
+};
+
+// Undo a reservation whose gateway refund failed; the refund record stays, marked failed
+const rollBackRefund = (order, refund) => Order.updateOne(
+  { _id: order._id, 'refunds.refundNumber': refund.refundNumber },
+  {
+    $inc: {
+      refundedAmount: -refund.amount,
+      ...Object.fromEntries(refund.items.map((line, i) => [`orderItems.$[i${i}].refundedQuantity`, -line.quantity]))
+    },
+    $set: { 'refunds.$.status': 'failed' }
+  },
+  { arrayFilters: refund.items.map((line, i) => ({ [`i${i}._id`]: line.orderItem })) }
+);
+
+// Gateway that sends the money back for an order; anything not paid online is refunded manually
+const getRefundGateway = (order) => (['razorpay', 'stripe'].includes(order.paymentMethod) ? order.paymentMethod : 'manual');
+
+// Gateway payment a refund is issued against
+const getGatewayPaymentId = (order, gateway) => (
+  gateway === 'stripe' ? order.stripePaymentIntentId : order.paymentResult?.id
+);
+
+// Send the refund to the payment gateway; returns the gateway's refund id and whether it is already processed
+const refundThroughGateway = async (order, refund) => {
+  const paymentId = getGatewayPaymentId(order, refund.gateway);
+  const notes = {
+    orderId: order._id.toString(),
+    orderNumber: order.orderNumber,
+    refundNumber: refund.refundNumber,
+    reason: refund.reason
+  };
+  if (refund.gateway === 'stripe') {
+    const gatewayRefund = await createStripeRefund(paymentId, refund.amount, notes);
+    return { id: gatewayRefund.id, processed: gatewayRefund.status === 'succeeded' };
+  }
+  const gatewayRefund = await createRazorpayRefund(paymentId, refund.amount, notes);
+  return { id: gatewayRefund.id, processed: gatewayRefund.status === 'processed' };
+};
+
+// Write the gateway outcome and the new statuses onto a reserved order and save it.
+// Retried once on a version conflict with a concurrent save of the same order.
+const completeRefund = async (reserved, refund, outcome, { actorId, markOrderRefunded, prepare }) => {
+  let order = reserved;
+  for (let attempt = 1; ; attempt += 1) {
+    const record = order.refunds.find(r => r.refundNumber === refund.refundNumber);
+    if (outcome) record.gatewayRefundId = outcome.id;
+    record.status = !outcome || outcome.processed ? 'processed' : 'pending';
+    if (record.status === 'processed') record.processedAt = new Date();
+    record.sellerDebit = getSellerDebit(order, refund.amount);
+
+    if (prepare) prepare(order);
+
+    const fullyRefunded = getRefundableAmount(order) <= 0.01;
+    order.paymentStatus = fullyRefunded ? 'refunded' : 'partially_refunded';
+    // The refund endpoints authorize the caller, so the status change itself is a system step
+    if (fullyRefunded && markOrderRefunded && canTransition(order.orderStatus, 'refunded', 'system')) {
+      transitionOrder(order, 'refunded', { actor: actorId, note: refund.reason || 'Order fully refunded' });
+    }
+
+    try {
+      await order.save();
+      return { order, record };
+    } catch (error) {
+      if (error.name !== 'VersionError' || attempt > 1) throw error;
+      order = await Order.findById(reserved._id);
+    }
+  }
+};
+
+/**
+ * Refund a paid order in full or for specific items, through Razorpay or Stripe when it was paid online.
+ * The amount is reserved on the order before the gateway is called, so concurrent refunds can
+ * never return more than was paid; a failed gateway call releases the reservation again.
+ * Records the refund on the order, updates its statuses and reverses credited seller earnings in the ledger.
+ * @param {Document} order - Order document; the saved, updated copy is returned
+ * @param {Object} options
+ * @param {Array<{itemId: String, quantity?: Number}>} [options.items] - Lines to refund; omit for a full refund
+ * @param {String} [options.reason]
+ * @param {ObjectId} [options.actorId] - User issuing the refund
+ * @param {Boolean} [options.markOrderRefunded=true] - Move orderStatus to 'refunded' on a full refund
+ * @param {Function} [options.prepare] - Further changes saved in the same write as the refund, e.g. a
+ *   cancellation. Called with the order document; tried on a copy first so a throw stops the refund.
+ * @returns {Promise<{refund: Object, order: Document}>} The refund record and the updated order
+ */
+const issueRefund = async (order, { items, reason = '', actorId, markOrderRefunded = true, prepare } = {}) => {
+  if (!['paid', 'partially_refunded'].includes(order.paymentStatus)) {
+    throw refundError('Only paid orders can be refunded');
+  }
+  if (prepare) prepare(order.$clone());
+
+  const refundable = getRefundableAmount(order);
+  let lines;
+  let amount;
+  if (Array.isArray(items) && items.length > 0) {
+    lines = buildRefundLines(order, items);
+    amount = Math.min(roundMoney(lines.reduce((sum, l) => sum + l.amount, 0)), refundable);
+  } else {
+    lines = order.orderItems
+      .filter(i => i.quantity > (i.refundedQuantity || 0))
+      .map(i => ({ orderItem: i._id, quantity: i.quantity - (i.refundedQuantity || 0) }));
+    amount = refundable;
+  }
+  if (amount <= 0) {
+    throw refundError('Nothing left to refund on this order');
+  }
+
+  const gateway = getRefundGateway(order);
+  if (gateway !== 'manual' && !getGatewayPaymentId(order, gateway)) {
+    throw refundError(`Order has no captured ${gateway} payment to refund`);
+  }
+  const refund = {
+    refundNumber: await nextSequence('refund'),
+    amount,
+    reason,
+    items: lines,
+    gateway,
+    initiatedBy: actorId
+  };
+
+  // With `prepare`, the order must still be in the status it was checked against
+  const reserved = await reserveRefund(order, refund, { expectedStatus: prepare && order.orderStatus });
+  if (!reserved) {
+    throw refundError('The order was refunded meanwhile; reload it and try again', 409);
+  }
+
+  let outcome = null;
+  if (gateway !== 'manual') {
+    try {
+      outcome = await refundThroughGateway(reserved, refund);
+    } catch (error) {
+      console.error(`${gateway} refund failed for order ${order._id}:`, error);
+      await rollBackRefund(reserved, refund);
+      throw refundError('Payment gateway refund failed', 502);
+    }
+  }
+
+  const saved = await completeRefund(reserved, refund, outcome, { actorId, markOrderRefunded, prepare });
+
+  // Posted once the refund is on the order; keyed by refund number, so safe to repost
+  if (saved.record.sellerDebit > 0) {
+    await recordRefundReversal(saved.order, saved.record);
+  }
+  await syncOrderGroupPayment([saved.order.orderGroup]);
+  return { refund: saved.record, order: saved.order };
+};
+
+module.exports = {
+  issueRefund,
+  debitEarlierRefunds,
+  getRefundableAmount,
+  refundError
+};
@@ -0,0 +1,55 @@
+const { releaseExpiredReservations } = require('./stock');
+const { releaseDueSettlements } = require('./settlement');
+const { runDueAutoPayouts } = require('./autoPayouts');
+const { runReconciliation } = require('./reconciliation');
+
+// Background jobs run in-process on a fixed interval
+const jobs = [
+  {
+    name: 'release-expired-reservations',
+    intervalMs: 5 * 60 * 1000,
+    run: releaseExpiredReservations
+  },
+  {
+    name: 'release-due-settlements',
+    intervalMs: 60 * 60 * 1000,
+    run: releaseDueSettlements
+  },
+  {
+    name: 'run-auto-payouts',
+    intervalMs: 60 * 60 * 1000,
+    run: runDueAutoPayouts
+  },
+  {
+    name: 'reconcile-wallets',
+    intervalMs: 24 * 60 * 60 * 1000,
+    run: runReconciliation
+  }
+];
+
+// Start every job; a run is skipped while the previous one of the same job is still going
+const startScheduledJobs = () => {
+  if (process.env.DISABLE_SCHEDULED_JOBS === 'true') {
+    console.log('Scheduled jobs disabled');
+    return [];
+  }
+
+  return jobs.map((job) => {
+    let running = false;
+    const timer = setInterval(async () => {
+      if (running) return;
+      running = true;
+      try {
+        await job.run();
+      } catch (error) {
+        console.error(`Scheduled job ${job.name} failed:`, error);
+      } finally {
+        running = false;
+      }
+    }, job.intervalMs);
+    timer.unref();
+    return timer;
+  });
+};
+
+module.exports = { startScheduledJobs };
@@ -0,0 +1,127 @@
+const mongoose = require('mongoose');
+const Counter = require('../models/Counter');
+
+/**
+ * Human-readable reference numbers from atomic counters, e.g. ORD2610190001.
+ *
+ * Each sequence has a prefix, a reset policy and a zero-padded width. The prefix and reset
+ * policy can be overridden per sequence with SEQUENCE_<NAME>_PREFIX / SEQUENCE_<NAME>_RESET
+ * (e.g. SEQUENCE_ORDER_PREFIX=MVG).
+ *
+ *   daily  -> PREFIX + YYMMDD + seq (counter restarts every day)
+ *   yearly -> PREFIX + YYYY + seq   (counter restarts every year)
+ *   never  -> PREFIX + seq
+ *
+ * Numbers are taken outside any transaction so concurrent checkouts never conflict on
+ * the counter; an aborted transaction leaves a gap rather than a duplicate.
+ */
+const SEQUENCES = {
+  // `seedFrom`: documents numbered with the same format before the counter existed (the older
+  // count-per-day scheme); a new counter starts above the highest of them
+  order: { prefix: 'ORD', reset: 'daily', padding: 4, seedFrom: { model: 'Order', field: 'orderNumber' } },
+  orderGroup: { prefix: 'GRP', reset: 'daily', padding: 4, seedFrom: { model: 'OrderGroup', field: 'groupNumber' } },
+  invoice: { prefix: 'INV', reset: 'yearly', padding: 6 },
+  refund: { prefix: 'RFD', reset: 'yearly', padding: 6 },
+  withdrawal: { prefix: 'WDR', reset: 'yearly', padding: 6 }
+};
+
+const RESET_POLICIES = ['daily', 'yearly', 'never'];
+
+const sequenceError = (message) => {
+  const error = new Error(message);
+  error.statusCode = 500;
+  error.type = 'SequenceError';
+  return error;
+};
+
+// Sequence settings with environment overrides applied
+const getSequenceConfig = (name) => {
+  const defaults = SEQUENCES[name];
+  if (!defaults) {
+    throw sequenceError(`Unknown sequence: ${name}`);
+  }
+  const envKey = name.replace(/([A-Z])/g, '_$1').toUpperCase();
+  const config = {
+    ...defaults,
+    prefix: process.env[`SEQUENCE_${envKey}_PREFIX`] ?? defaults.prefix,
+    reset: process.env[`SEQUENCE_${envKey}_RESET`] || defaults.reset
+  };
+  if (!RESET_POLICIES.includes(config.reset)) {
+    throw sequenceError(`Invalid reset policy for ${name}: ${config.reset}`);
+  }
+  return config;
+};
+
+// Period part of the number, which is also what scopes the counter
+const getPeriodKey = (reset, date) => {
+  const year = date.getFullYear().toString();
+  const month = (date.getMonth() + 1).toString().padStart(2, '0');
+  const day = date.getDate().toString().padStart(2, '0');
+  if (reset === 'daily') return `${year.slice(-2)}${month}${day}`;
+  if (reset === 'yearly') return year;
+  return '';
+};
+
+// Counters this process has already seeded, so the lookup runs once per period
+const seededCounters = new Set();
+
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Highest number already issued under `numberPrefix` in the seed collection
+const findHighestIssued = async ({ model, field }, numberPrefix) => {
+  const [result] = await mongoose.model(model).aggregate([
+    { $match: { [field]: { $regex: `^${escapeRegex(numberPrefix)}\\d+$` } } },
+    { $group: { _id: null, max: { $max: { $toLong: { $substrCP: [`$${field}`, numberPrefix.length, 20] } } } } }
+  ]);
+  return result ? Number(result.max) : 0;
+};
+
+// Raise the counter to the highest existing number; $max never moves it backwards, so
+// concurrent or repeated seeding is harmless
+const seedCounter = async (config, counterId, numberPrefix) => {
+  if (!config.seedFrom || seededCounters.has(counterId)) return;
+  const highest = await findHighestIssued(config.seedFrom, numberPrefix);
+  if (highest > 0) {
+    try {
+      await Counter.updateOne({ _id: counterId }, { $max: { seq: highest } }, { upsert: true });
+    } catch (error) {
+      if (error.code !== 11000) throw error;
+      await Counter.updateOne({ _id: counterId }, { $max: { seq: highest } });
+    }
+  }
+  seededCounters.add(counterId);
+};
+
+/**
+ * Take the next number of a sequence.
+ * @param {String} name - Key of SEQUENCES ('order', 'orderGroup', 'invoice', 'refund', 'withdrawal')
+ * @param {Object} [options]
+ * @param {Date} [options.date=new Date()] - Date whose period the number belongs to
+ * @returns {Promise<String>} Formatted number, e.g. 'ORD2610190001'
+ */
+const nextSequence = async (name, { date = new Date() } = {}) => {
+  const config = getSequenceConfig(name);
+  const period = getPeriodKey(config.reset, date);
+  const counterId = period ? `${name}:${period}` : name;
+  await seedCounter(config, counterId, `${config.prefix}${period}`);
+
+  let counter;
+  try {
+    counter = await Counter.findOneAndUpdate(
+      { _id: counterId },
+      { $inc: { seq: 1 } },
+      { new: true, upsert: true }
+    );
+  } catch (error) {
+    // Two first-of-period upserts can race on the insert; the loser retries as a plain update
+    if (error.code !== 11000) throw error;
+    counter = await Counter.findOneAndUpdate({ _id: counterId }, { $inc: { seq: 1 } }, { new: true });
+  }
+
+  return `${config.prefix}${period}${counter.seq.toString().padStart(config.padding, '0')}`;
+};
+
+module.exports = {
+  nextSequence,
+  getSequenceConfig
+};
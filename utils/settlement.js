@@ -0,0 +1,65 @@
+const Order = require('../models/Order');
+const { getOrderPendingAmount, recordSettlementRelease } = require('./ledger');
+
+// Return window after delivery during which earnings stay on hold
+const getSettlementHoldDays = () => {
+  const days = parseFloat(process.env.SETTLEMENT_HOLD_DAYS);
+  return Number.isFinite(days) && days >= 0 ? days : 7;
+};
+
+// Put a delivered order's earnings on hold until its return window ends. Does not save the order.
+const scheduleSettlement = (order) => {
+  if (order.settlement?.status && order.settlement.status !== 'none') return;
+  const deliveredAt = order.deliveredAt || new Date();
+  order.settlement = {
+    status: 'pending',
+    releaseAt: new Date(deliveredAt.getTime() + getSettlementHoldDays() * 24 * 60 * 60 * 1000)
+  };
+};
+
+/**
+ * Move held earnings to the available balance for every order whose hold has ended.
+ * Each order is claimed atomically, so overlapping runs never release it twice.
+ * @param {Object} [options]
+ * @param {ObjectId} [options.sellerId] - Only this seller's orders
+ * @returns {Promise<Number>} Orders released
+ */
+const releaseDueSettlements = async ({ sellerId } = {}) => {
+  const due = {
+    'settlement.status': 'pending',
+    'settlement.releaseAt': { $lte: new Date() },
+    ...(sellerId && { seller: sellerId })
+  };
+
+  let released = 0;
+  let order;
+  while ((order = await Order.findOneAndUpdate(
+    due,
+    { $set: { 'settlement.status': 'released', 'settlement.releasedAt': new Date() } },
+    { new: true, sort: { 'settlement.releaseAt': 1 } }
+  ))) {
+    try {
+      // What is left after refunds taken from the held amount
+      const amount = await getOrderPendingAmount(order._id);
+      if (amount > 0) {
+        await recordSettlementRelease(order, amount);
+      }
+      released += 1;
+    } catch (error) {
+      // Put the order back so the next run retries it; the ledger entry is keyed, so no double release
+      await Order.updateOne(
+        { _id: order._id },
+        { $set: { 'settlement.status': 'pending' }, $unset: { 'settlement.releasedAt': 1 } }
+      );
+      throw error;
+    }
+  }
+  if (released > 0) console.log(`Released settlement for ${released} orders`);
+  return released;
+};
+
+module.exports = {
+  getSettlementHoldDays,
+  scheduleSettlement,
+  releaseDueSettlements
+};
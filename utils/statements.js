@@ -0,0 +1,244 @@
+const mongoose = require('mongoose');
+const PDFDocument = require('pdfkit');
+const LedgerEntry = require('../models/LedgerEntry');
+const Order = require('../models/Order');
+const Seller = require('../models/Seller');
+const Wallet = require('../models/Wallet');
+const WithdrawalRequest = require('../models/WithdrawalRequest');
+const { getPlatformFundedDiscount } = require('./commission');
+const { csvCell, roundMoney } = require('./format');
+
+// Statement balance: the seller's earnings held for settlement plus their available balance.
+// Money in withdrawal requests has left it; releases between the two accounts do not show.
+const STATEMENT_ACCOUNTS = ['seller_pending', 'seller_payable'];
+
+const statementEffect = (entry) => roundMoney(entry.postings
+  .filter(p => STATEMENT_ACCOUNTS.includes(p.account))
+  .reduce((sum, p) => sum + p.credit - p.debit, 0));
+
+const SECTION_BY_TYPE = {
+  order_earning: 'earnings',
+  refund_reversal: 'refunds',
+  withdrawal_requested: 'withdrawals',
+  withdrawal_rejected: 'withdrawals',
+  withdrawal_failed: 'withdrawals',
+  adjustment: 'adjustments'
+};
+
+/**
+ * Build a seller's statement for a period from the ledger, with order and withdrawal details.
+ * @param {ObjectId} sellerId
+ * @param {Object} period
+ * @param {Date} period.from - Inclusive
+ * @param {Date} period.to - Inclusive
+ * @returns {Promise<Object>} { seller, period, openingBalance, closingBalance, totals, earnings, refunds, withdrawals, adjustments, lines }
+ */
+const buildSellerStatement = async (sellerId, { from, to }) => {
+  const seller = new mongoose.Types.ObjectId(String(sellerId));
+  const [opening] = await LedgerEntry.aggregate([
+    { $match: { seller, createdAt: { $lt: from } } },
+    { $unwind: '$postings' },
+    { $match: { 'postings.account': { $in: STATEMENT_ACCOUNTS } } },
+    { $group: { _id: null, total: { $sum: { $subtract: ['$postings.credit', '$postings.debit'] } } } }
+  ]);
+  const entries = await LedgerEntry.find({ seller, createdAt: { $gte: from, $lte: to } })
+    .sort({ createdAt: 1, _id: 1 })
+    .lean();
+
+  const orderIds = [...new Set(entries.filter(e => e.order).map(e => String(e.order)))];
+  const withdrawalIds = [...new Set(entries.filter(e => e.withdrawal).map(e => String(e.withdrawal)))];
+  const [orders, withdrawals, sellerDoc, wallet] = await Promise.all([
+    Order.find({ _id: { $in: orderIds } })
+      .select('orderNumber totalPrice commission sellerEarnings commissionSnapshot couponFunding promotions deliveredAt')
+      .lean(),
+    WithdrawalRequest.find({ _id: { $in: withdrawalIds } })
+      .select('reference amount status paymentMethod transactionId')
+      .lean(),
+    Seller.findById(seller).select('businessName email').lean(),
+    Wallet.findOne({ seller }).select('balance pendingSettlement pendingWithdrawals').lean()
+  ]);
+  const orderById = new Map(orders.map(o => [String(o._id), o]));
+  const withdrawalById = new Map(withdrawals.map(w => [String(w._id), w]));
+
+  const statement = {
+    seller: sellerDoc,
+    period: { from, to },
+    openingBalance: roundMoney(opening?.total || 0),
+    closingBalance: 0,
+    totals: { earnings: 0, commission: 0, refunds: 0, withdrawals: 0, adjustments: 0 },
+    earnings: [],
+    refunds: [],
+    withdrawals: [],
+    adjustments: [],
+    lines: [],
+    // Current wallet, for reference; the statement itself only covers the period
+    wallet
+  };
+
+  let balance = statement.openingBalance;
+  for (const entry of entries) {
+    const amount = statementEffect(entry);
+    const section = SECTION_BY_TYPE[entry.type];
+    if (!section || amount === 0) continue;
+    balance = roundMoney(balance + amount);
+
+    const order = entry.order && orderById.get(String(entry.order));
+    const withdrawal = entry.withdrawal && withdrawalById.get(String(entry.withdrawal));
+    const line = {
+      date: entry.createdAt,
+      type: entry.type,
+      description: entry.description,
+      reference: withdrawal?.reference || order?.orderNumber || '',
+      gross: null,
+      commission: null,
+      amount,
+      balance
+    };
+
+    if (section === 'earnings') {
+      // Coupon and promotion discounts the platform pays back on top of what the customer paid
+      const couponReimbursement = order ? getPlatformFundedDiscount(order) : 0;
+      line.gross = roundMoney(order?.totalPrice || 0);
+      line.commission = roundMoney(line.gross + couponReimbursement - amount);
+      statement.earnings.push({
+        date: entry.createdAt,
+        order: entry.order,
+        orderNumber: order?.orderNumber,
+        gross: line.gross,
+        couponReimbursement,
+        commission: line.commission,
+        sellerEarnings: amount,
+        // Per line rule, rate and fee the commission was worked out with
+        commissionBreakdown: (order?.commissionSnapshot?.lines || []).map(l => ({
+          ruleName: l.ruleName,
+          scope: l.scope,
+          percentage: l.percentage,
+          fixedFee: l.fixedFee,
+          base: l.base,
+          amount: l.amount
+        }))
+      });
+      statement.totals.earnings += amount;
+      statement.totals.commission += line.commission;
+    } else if (section === 'refunds') {
+      line.reference = `${order?.orderNumber || ''} ${entry.key.replace(/^refund:/, '')}`.trim();
+      statement.refunds.push({
+        date: entry.createdAt,
+        order: entry.order,
+        orderNumber: order?.orderNumber,
+        refundNumber: entry.key.replace(/^refund:/, ''),
+        amount: -amount
+      });
+      statement.totals.refunds += -amount;
+    } else if (section === 'withdrawals') {
+      statement.withdrawals.push({
+        date: entry.createdAt,
+        withdrawal: entry.withdrawal,
+        reference: withdrawal?.reference,
+        status: withdrawal?.status,
+        transactionId: withdrawal?.transactionId,
+        description: entry.description,
+        amount
+      });
+      statement.totals.withdrawals += -amount;
+    } else {
+      statement.adjustments.push({ date: entry.createdAt, description: entry.description, amount });
+      statement.totals.adjustments += amount;
+    }
+    statement.lines.push(line);
+  }
+
+  Object.keys(statement.totals).forEach(key => {
+    statement.totals[key] = roundMoney(statement.totals[key]);
+  });
+  statement.closingBalance = balance;
+  return statement;
+};
+
+const formatDate = (date) => new Date(date).toISOString().slice(0, 10);
+
+// One row per statement line between opening and closing balance rows
+const renderStatementCsv = (statement) => {
+  const rows = [
+    ['Date', 'Type', 'Reference', 'Description', 'Gross', 'Commission', 'Amount', 'Balance'],
+    [formatDate(statement.period.from), 'opening_balance', '', 'Opening balance', '', '', '', statement.openingBalance],
+    ...statement.lines.map(line => [
+      formatDate(line.date),
+      line.type,
+      line.reference,
+      line.description,
+      line.gross,
+      line.commission,
+      line.amount,
+      line.balance
+    ]),
+    [formatDate(statement.period.to), 'closing_balance', '', 'Closing balance', '', '', '', statement.closingBalance]
+  ];
+  return rows.map(row => row.map(csvCell).join(',')).join('\n') + '\n';
+};
+
+// Write the statement as a PDF to a writable stream (e.g. the response)
+const renderStatementPdf = (statement, stream) => {
+  const doc = new PDFDocument({ size: 'A4', margin: 40 });
+  doc.pipe(stream);
+  const money = (value) => (value === null || value === undefined ? '' : Number(value).toFixed(2));
+
+  doc.fontSize(16).text('Seller Statement');
+  doc.fontSize(10)
+    .text(statement.seller?.businessName || '')
+    .text(`Period: ${formatDate(statement.period.from)} to ${formatDate(statement.period.to)}`)
+    .moveDown();
+
+  doc.text(`Opening balance: INR ${money(statement.openingBalance)}`);
+  doc.text(`Earnings: INR ${money(statement.totals.earnings)} (commission INR ${money(statement.totals.commission)})`);
+  doc.text(`Refunds: INR ${money(statement.totals.refunds)}`);
+  doc.text(`Withdrawals: INR ${money(statement.totals.withdrawals)}`);
+  if (statement.totals.adjustments) doc.text(`Adjustments: INR ${money(statement.totals.adjustments)}`);
+  doc.text(`Closing balance: INR ${money(statement.closingBalance)}`).moveDown();
+
+  const columns = [
+    { label: 'Date', width: 60 },
+    { label: 'Reference', width: 110 },
+    { label: 'Description', width: 150 },
+    { label: 'Gross', width: 55, align: 'right' },
+    { label: 'Commission', width: 55, align: 'right' },
+    { label: 'Amount', width: 50, align: 'right' },
+    { label: 'Balance', width: 55, align: 'right' }
+  ];
+  const drawRow = (cells, options = {}) => {
+    if (doc.y > doc.page.height - 60) doc.addPage();
+    const y = doc.y;
+    let x = doc.page.margins.left;
+    let height = 0;
+    cells.forEach((cell, i) => {
+      doc.font(options.bold ? 'Helvetica-Bold' : 'Helvetica').fontSize(8)
+        .text(String(cell), x, y, { width: columns[i].width - 4, align: columns[i].align || 'left' });
+      height = Math.max(height, doc.y - y);
+      x += columns[i].width;
+    });
+    doc.x = doc.page.margins.left;
+    doc.y = y + height + 4;
+  };
+
+  drawRow(columns.map(c => c.label), { bold: true });
+  statement.lines.forEach(line => drawRow([
+    formatDate(line.date),
+    line.reference,
+    line.description,
+    money(line.gross),
+    money(line.commission),
+    money(line.amount),
+    money(line.balance)
+  ]));
+  if (statement.lines.length === 0) {
+    doc.font('Helvetica').fontSize(9).text('No activity in this period.');
+  }
+
+  doc.end();
+};
+
+module.exports = {
+  buildSellerStatement,
+  renderStatementCsv,
+  renderStatementPdf
+};
@@ -0,0 +1,192 @@
+const Order = require('../models/Order');
+const Product = require('../models/Product');
+const SellerProduct = require('../models/SellerProduct');
+const { transitionOrder } = require('./orderStateMachine');
+const { releaseCouponRedemption } = require('./coupons');
+
+const stockError = (lines) => {
+  const error = new Error('Insufficient stock for some items');
+  error.statusCode = 409;
+  error.type = 'InsufficientStock';
+  error.lines = lines;
+  return error;
+};
+
+// Variant options addressed by a cart's selectedVariants, e.g. { size: 'M' } -> [{ name: 'Size', value: 'M' }].
+// Products without a matching variant are not variant-stocked and return nothing.
+const getSelectedVariantOptions = (product, selectedVariants = {}) => {
+  const selected = [];
+  for (const [key, value] of Object.entries(selectedVariants || {})) {
+    if (!value) continue;
+    const variant = (product?.variants || []).find(v => v.name.toLowerCase() === key.toLowerCase());
+    const option = variant && variant.options.find(o => o.value === value);
+    if (option) selected.push({ name: variant.name, value, stock: option.stock });
+  }
+  return selected;
+};
+
+const variantStockUpdate = (productId, { name, value }, quantity, session) => Product.updateOne(
+  {
+    _id: productId,
+    // Guard: only decrement when the option still has enough stock
+    ...(quantity < 0 && {
+      variants: { $elemMatch: { name, options: { $elemMatch: { value, stock: { $gte: -quantity } } } } }
+    })
+  },
+  { $inc: { 'variants.$[v].options.$[o].stock': quantity } },
+  { session, arrayFilters: [{ 'v.name': name }, { 'o.value': value }] }
+);
+
+// Reserve one quote line: conditional $inc on the seller listing, then on the selected variant options
+const reserveLine = async (line, session) => {
+  const shortage = (available, variant) => ({
+    sellerProduct: line.sellerProduct,
+    name: line.name,
+    ...(variant && { variant }),
+    requested: line.quantity,
+    available: Math.max(available || 0, 0)
+  });
+
+  const listing = await SellerProduct.findOneAndUpdate(
+    { _id: line.sellerProduct, sellerStock: { $gte: line.quantity } },
+    { $inc: { sellerStock: -line.quantity } },
+    { session, new: true }
+  );
+  if (!listing) {
+    const current = await SellerProduct.findById(line.sellerProduct).select('sellerStock').session(session);
+    return { shortage: shortage(current?.sellerStock) };
+  }
+
+  const product = await Product.findById(line.product).select('variants').session(session);
+  const variantStock = getSelectedVariantOptions(product, line.selectedVariants);
+  for (const option of variantStock) {
+    const result = await variantStockUpdate(line.product, option, -line.quantity, session);
+    if (result.modifiedCount === 0) {
+      return { shortage: shortage(option.stock, `${option.name}: ${option.value}`) };
+    }
+  }
+  return { variantStock: variantStock.map(({ name, value }) => ({ name, value })) };
+};
+
+/**
+ * Reserve stock for every quote line inside the order transaction.
+ * All lines are attempted so the error can list every shortage; the caller's abort rolls back the rest.
+ * @returns {Promise<Array<{variantStock: Array}>>} Reservation per line, in line order
+ * @throws InsufficientStock error with `lines` describing each shortage
+ */
+const reserveStock = async (lines, session) => {
+  const reservations = [];
+  const shortages = [];
+  for (const line of lines) {
+    const result = await reserveLine(line, session);
+    if (result.shortage) shortages.push(result.shortage);
+    reservations.push(result);
+  }
+  if (shortages.length > 0) {
+    throw stockError(shortages);
+  }
+  return reservations;
+};
+
+// Give an order's reserved stock back. Safe to call repeatedly: only the first call restores.
+// `filter` adds conditions the order must still meet at release time.
+const releaseOrderStock = async (order, { session, filter = {} } = {}) => {
+  const claimed = await Order.findOneAndUpdate(
+    { ...filter, _id: order._id, 'stockReservation.status': 'reserved' },
+    { $set: { 'stockReservation.status': 'released', 'stockReservation.releasedAt': new Date() } },
+    { session, new: true }
+  );
+  if (!claimed) return false;
+
+  for (const item of claimed.orderItems) {
+    if (item.sellerProduct) {
+      await SellerProduct.updateOne({ _id: item.sellerProduct }, { $inc: { sellerStock: item.quantity } }, { session });
+    }
+    await Product.updateOne({ _id: item.product }, { $inc: { totalSold: -item.quantity } }, { session });
+    for (const option of item.variantStock || []) {
+      await variantStockUpdate(item.product, option, item.quantity, session);
+    }
+  }
+
+  // Keep the caller's document in step so a later save doesn't undo the release
+  order.stockReservation = claimed.stockReservation;
+  return true;
+};
+
+// Take stock again for an order whose reservation was released (e.g. paid after a failed attempt).
+// Best effort: the customer has paid, so shortages are logged for the seller rather than rejected.
+const reacquireOrderStock = async (order) => {
+  const claimed = await Order.findOneAndUpdate(
+    { _id: order._id, 'stockReservation.status': 'released' },
+    { $set: { 'stockReservation.status': 'reserved' }, $unset: { 'stockReservation.releasedAt': 1 } },
+    { new: true }
+  );
+  if (!claimed) return false;
+
+  for (const item of claimed.orderItems) {
+    if (item.sellerProduct) {
+      const result = await SellerProduct.updateOne(
+        { _id: item.sellerProduct, sellerStock: { $gte: item.quantity } },
+        { $inc: { sellerStock: -item.quantity } }
+      );
+      if (result.modifiedCount === 0) {
+        console.warn(`Order ${claimed.orderNumber}: could not re-reserve ${item.quantity} x ${item.name}`);
+      }
+    }
+    await Product.updateOne({ _id: item.product }, { $inc: { totalSold: item.quantity } });
+    for (const option of item.variantStock || []) {
+      await variantStockUpdate(item.product, option, -item.quantity);
+    }
+  }
+
+  order.stockReservation = claimed.stockReservation;
+  return true;
+};
+
+// Cancel online-payment orders left unpaid past the payment window and release their stock and coupon.
+// Returns the number of orders cancelled.
+const releaseExpiredReservations = async () => {
+  const windowMinutes = parseInt(process.env.PENDING_ORDER_TTL_MINUTES) || 30;
+  const cutoff = new Date(Date.now() - windowMinutes * 60 * 1000);
+
+  const unpaid = {
+    paymentStatus: { $in: ['pending', 'failed'] },
+    orderStatus: 'pending'
+  };
+  const expired = await Order.find({
+    ...unpaid,
+    paymentMethod: { $ne: 'cod' },
+    // 'released' covers orders whose stock a failed payment attempt already gave back
+    'stockReservation.status': { $in: ['reserved', 'released'] },
+    createdAt: { $lt: cutoff }
+  });
+
+  let cancelled = 0;
+  for (const order of expired) {
+    // Re-checked at release time in case the payment landed meanwhile
+    if (order.stockReservation.status === 'reserved' && !(await releaseOrderStock(order, { filter: unpaid }))) {
+      continue;
+    }
+    transitionOrder(order, 'cancelled', { note: 'Payment not completed in time' });
+    order.cancellationReason = 'Payment not completed in time';
+    // ...and again when the cancellation is written; a paid order re-takes its stock itself
+    order.$where = unpaid;
+    try {
+      await order.save();
+    } catch (error) {
+      if (error.name !== 'DocumentNotFoundError') throw error;
+      continue;
+    }
+    await releaseCouponRedemption(order, { reason: 'Payment not completed in time' });
+    cancelled += 1;
+  }
+  if (cancelled > 0) console.log(`Cancelled ${cancelled} expired pending orders`);
+  return cancelled;
+};
+
+module.exports = {
+  reserveStock,
+  releaseOrderStock,
+  reacquireOrderStock,
+  releaseExpiredReservations
+};
@@ -0,0 +1,39 @@
+const Stripe = require('stripe');
+
+function getStripeInstance() {
+  const secretKey = process.env.STRIPE_SECRET_KEY;
+
+  if (!secretKey) {
+    throw new Error('Stripe key is not configured. Please set STRIPE_SECRET_KEY in .env');
+  }
+
+  return new Stripe(secretKey);
+}
+
+// Parse a webhook body after checking its Stripe-Signature header; returns null when the signature is invalid
+function constructWebhookEvent(rawBody, signature) {
+  const webhookSecret = process.env.STRIPE_WEBHOOK_SECRET;
+  if (!webhookSecret) {
+    throw new Error('Stripe webhook secret is not configured. Please set STRIPE_WEBHOOK_SECRET in .env');
+  }
+  if (!rawBody || !signature) return null;
+
+  try {
+    return getStripeInstance().webhooks.constructEvent(rawBody, signature, webhookSecret);
+  } catch (error) {
+    if (error.type === 'StripeSignatureVerificationError') return null;
+    throw error;
+  }
+}
+
+// Refund (part of) a PaymentIntent. Amount is in rupees; Stripe expects the smallest currency unit.
+async function createStripeRefund(paymentIntentId, amount, metadata = {}) {
+  const stripe = getStripeInstance();
+  return stripe.refunds.create({
+    payment_intent: paymentIntentId,
+    amount: Math.round(amount * 100),
+    metadata
+  });
+}
+
+module.exports = { getStripeInstance, constructWebhookEvent, createStripeRefund };
@@ -0,0 +1,40 @@
+const WebhookEvent = require('../models/WebhookEvent');
+
+// How long a handler may hold an event before a retry is allowed to take it over
+const PROCESSING_LEASE_MS = 5 * 60 * 1000;
+
+/**
+ * Take an incoming gateway webhook event for processing. Returns null when the event was already
+ * handled or another handler is working on it, so replays are acknowledged without side effects.
+ * An event stuck in 'processing' past the lease (the process died mid-handler) is reclaimed.
+ * @param {Object} fields - { provider, eventId, event, entityId }
+ * @returns {Promise<Document|null>} The WebhookEvent record to complete, or null for a duplicate
+ */
+const claimWebhookEvent = async (fields) => {
+  try {
+    return await WebhookEvent.create({ ...fields, startedAt: new Date() });
+  } catch (error) {
+    if (error.code !== 11000) throw error;
+  }
+
+  const cutoff = new Date(Date.now() - PROCESSING_LEASE_MS);
+  return WebhookEvent.findOneAndUpdate(
+    {
+      provider: fields.provider,
+      eventId: fields.eventId,
+      status: 'processing',
+      $or: [
+        { startedAt: { $lt: cutoff } },
+        // Records written before startedAt existed
+        { startedAt: { $exists: false }, createdAt: { $lt: cutoff } }
+      ]
+    },
+    { $set: { startedAt: new Date() }, $inc: { attempts: 1 } },
+    { new: true }
+  );
+};
+
+module.exports = {
+  PROCESSING_LEASE_MS,
+  claimWebhookEvent
+};
@@ -0,0 +1,174 @@
+const crypto = require('crypto');
+const LedgerEntry = require('../models/LedgerEntry');
+const Wallet = require('../models/Wallet');
+const WithdrawalRequest = require('../models/WithdrawalRequest');
+const PayoutAccount = require('../models/PayoutAccount');
+const { getSellerBalances, recordWithdrawalRequested } = require('./ledger');
+
+const MIN_WITHDRAWAL_AMOUNT = 100; // Also enforced by the WithdrawalRequest model
+const LOCK_TTL_MS = 30 * 1000;
+
+// Requests whose money is still on its way to the seller
+const OPEN_STATUSES = ['pending', 'approved'];
+
+const withdrawalError = (message, statusCode = 400) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  error.type = 'WithdrawalError';
+  return error;
+};
+
+const readLimit = (name, fallback) => {
+  const value = parseFloat(process.env[name]);
+  return Number.isFinite(value) && value >= 0 ? value : fallback;
+};
+
+// Per-seller limits, configurable through the environment
+const getWithdrawalLimits = () => ({
+  maxOpenRequests: readLimit('WITHDRAWAL_MAX_OPEN_REQUESTS', 2),
+  dailyAmountCap: readLimit('WITHDRAWAL_DAILY_AMOUNT_CAP', 200000), // ₹ per seller per day
+  dailyCountCap: readLimit('WITHDRAWAL_DAILY_COUNT_CAP', 3)
+});
+
+// Requests the seller made today, for the daily caps. Rejected and failed requests do not count.
+const getWithdrawnToday = async (sellerId) => {
+  const startOfDay = new Date();
+  startOfDay.setHours(0, 0, 0, 0);
+  const [today] = await WithdrawalRequest.aggregate([
+    { $match: { seller: sellerId, createdAt: { $gte: startOfDay }, status: { $nin: ['rejected', 'failed'] } } },
+    { $group: { _id: null, count: { $sum: 1 }, total: { $sum: '$amount' } } }
+  ]);
+  return { count: today?.count || 0, total: today?.total || 0 };
+};
+
+/**
+ * Run `fn` while holding the seller's withdrawal lock on their Wallet. The lock is taken
+ * with a conditional atomic update, so balance checks and the ledger posting of two
+ * concurrent requests never interleave. It expires by itself if the process dies.
+ */
+const withWithdrawalLock = async (sellerId, fn) => {
+  const token = crypto.randomUUID();
+  const now = new Date();
+  try {
+    await Wallet.findOneAndUpdate(
+      {
+        seller: sellerId,
+        $or: [{ withdrawalLockExpiresAt: null }, { withdrawalLockExpiresAt: { $lt: now } }]
+      },
+      { $set: { withdrawalLockId: token, withdrawalLockExpiresAt: new Date(now.getTime() + LOCK_TTL_MS) } },
+      { upsert: true, setDefaultsOnInsert: true }
+    );
+  } catch (error) {
+    // The upsert collides with the seller's locked wallet
+    if (error.code === 11000) {
+      throw withdrawalError('Another withdrawal request is being processed, please retry', 409);
+    }
+    throw error;
+  }
+
+  try {
+    return await fn();
+  } finally {
+    await Wallet.updateOne(
+      { seller: sellerId, withdrawalLockId: token },
+      { $unset: { withdrawalLockId: 1, withdrawalLockExpiresAt: 1 } }
+    );
+  }
+};
+
+const findByIdempotencyKey = (sellerId, idempotencyKey) => (idempotencyKey
+  ? WithdrawalRequest.findOne({ seller: sellerId, idempotencyKey })
+  : null);
+
+/**
+ * Create a withdrawal request and move its amount out of the seller's available balance.
+ * Checks the balance, open request limit and daily caps under the seller's withdrawal lock.
+ * @param {ObjectId} sellerId
+ * @param {Object} options
+ * @param {Number} options.amount
+ * @param {ObjectId} [options.payoutAccountId] - Saved payout account; the seller's default when omitted
+ * @param {String} [options.source='manual'] - 'manual' or 'auto' (auto-payout cycle)
+ * @param {String} [options.idempotencyKey] - A retry with the same key returns the first request
+ * @returns {Promise<{withdrawal: Document, isDuplicate: Boolean}>}
+ */
+const createWithdrawal = async (sellerId, { amount, payoutAccountId, source = 'manual', idempotencyKey }) => {
+  const existing = await findByIdempotencyKey(sellerId, idempotencyKey);
+  if (existing) return { withdrawal: existing, isDuplicate: true };
+
+  amount = Number(amount);
+  if (!(amount >= MIN_WITHDRAWAL_AMOUNT)) {
+    throw withdrawalError(`Minimum withdrawal amount is ₹${MIN_WITHDRAWAL_AMOUNT}`);
+  }
+
+  // Pay to the chosen saved account, or the seller's default one
+  const account = await PayoutAccount.findOne({
+    seller: sellerId,
+    ...(payoutAccountId ? { _id: payoutAccountId } : { isDefault: true })
+  }).select('+accountNumber');
+  if (!account) {
+    throw withdrawalError(payoutAccountId ? 'Payout account not found' : 'Add a payout account before requesting a withdrawal');
+  }
+  if (account.verificationStatus !== 'verified') {
+    throw withdrawalError('Payout account has not been verified yet');
+  }
+
+  return withWithdrawalLock(sellerId, async () => {
+    // A concurrent retry may have finished while we waited
+    const duplicate = await findByIdempotencyKey(sellerId, idempotencyKey);
+    if (duplicate) return { withdrawal: duplicate, isDuplicate: true };
+
+    const limits = getWithdrawalLimits();
+    const openRequests = await WithdrawalRequest.countDocuments({
+      seller: sellerId,
+      status: { $in: OPEN_STATUSES }
+    });
+    if (openRequests >= limits.maxOpenRequests) {
+      throw withdrawalError(`You can have at most ${limits.maxOpenRequests} open withdrawal requests`);
+    }
+
+    const today = await getWithdrawnToday(account.seller);
+    if (today.count >= limits.dailyCountCap) {
+      throw withdrawalError(`Daily limit of ${limits.dailyCountCap} withdrawal requests reached`);
+    }
+    if (today.total + amount > limits.dailyAmountCap) {
+      throw withdrawalError(`Daily withdrawal limit is ₹${limits.dailyAmountCap}; ₹${Math.max(limits.dailyAmountCap - today.total, 0)} remaining today`);
+    }
+
+    // Check if seller has sufficient balance
+    const { balance } = await getSellerBalances(sellerId);
+    if (balance < amount) {
+      throw withdrawalError('Insufficient available balance');
+    }
+
+    const withdrawal = await WithdrawalRequest.create({
+      seller: sellerId,
+      amount,
+      payoutAccount: account._id,
+      bankDetails: account.toBankDetails(),
+      paymentMethod: account.paymentMethod,
+      source,
+      idempotencyKey: idempotencyKey || undefined
+    });
+
+    // Move funds from available balance to withdrawals in transit; the request is
+    // removed if this fails so the funds are never left half-reserved
+    try {
+      await recordWithdrawalRequested(withdrawal);
+    } catch (error) {
+      if (!(await LedgerEntry.exists({ key: `withdrawal:${withdrawal._id}:requested` }))) {
+        await WithdrawalRequest.deleteOne({ _id: withdrawal._id });
+      }
+      throw error;
+    }
+    return { withdrawal, isDuplicate: false };
+  });
+};
+
+module.exports = {
+  MIN_WITHDRAWAL_AMOUNT,
+  OPEN_STATUSES,
+  withdrawalError,
+  getWithdrawalLimits,
+  getWithdrawnToday,
+  createWithdrawal
+};